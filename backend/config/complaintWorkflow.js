@@ -0,0 +1,116 @@
+/**
+ * Complaint workflow
+ *
+ * Declares every complaint status and the transitions between them. Each
+ * transition names:
+ *   - trigger: the action that performs it
+ *       status      PUT /:id/status and bulk status updates
+ *       assign      assigning a Mitra to a new complaint (by hand or automatically)
+ *       escalate    moving up the escalation chain
+ *       feedback    citizen closing a resolved complaint
+ *       reopen      citizen/admin reopening a resolved or closed complaint
+ *       transfer    handing a misclassified complaint to another department
+ *       merge       folding a duplicate into the complaint it repeats
+ *       auto_resume background job ending a hold on its resume date
+ *   - roles:  who may perform it ('system' for background jobs)
+ *   - guards: conditions that must hold (see complaintWorkflowService)
+ *   - timelineAction: timeline action recorded, defaults to the target status;
+ *       null when the caller records its own entry
+ *   - notify: send the standard status update to citizen, department, admins
+ *   - recordRemark: keep the remarks as a public remark on the complaint
+ *
+ * State hooks run when a complaint enters or leaves a status.
+ */
+
+const STATES = {
+  new: {},
+  assigned: {
+    sms: 'Your complaint has been assigned to an officer.'
+  },
+  in_progress: {
+    sms: 'Work has started on your complaint.'
+  },
+  on_hold: {
+    sms: 'Your complaint is on hold pending further information.',
+    onEnter: ['pauseSLA'],
+    onExit: ['resumeSLA']
+  },
+  resolved: {
+    sms: 'Your complaint has been resolved. Please provide feedback.',
+    onEnter: ['recordResolution']
+  },
+  rejected: {
+    sms: 'Your complaint has been rejected.'
+  },
+  escalated: {
+    sms: 'Your complaint has been escalated for priority handling.'
+  },
+  merged: {
+    sms: 'Your complaint reports the same issue as an existing complaint and has been merged into it. You will receive its updates.'
+  },
+  closed: {}
+};
+
+const STAFF = ['officer', 'admin'];
+const FIELD = ['officer', 'mitra', 'admin'];
+const OPEN = ['new', 'assigned', 'in_progress', 'on_hold', 'rejected', 'escalated'];
+
+// Applied to every transition of the trigger unless overridden
+const TRIGGER_DEFAULTS = {
+  status: { notify: true, recordRemark: true },
+  assign: { timelineAction: null },
+  escalate: {},
+  feedback: {},
+  reopen: { timelineAction: 'reopened' },
+  transfer: { timelineAction: 'transferred' },
+  merge: {},
+  auto_resume: { timelineAction: 'resumed' }
+};
+
+const TRANSITIONS = [
+  // Triage
+  { trigger: 'assign', from: ['new'], to: 'assigned', roles: [...STAFF, 'system'] },
+  { trigger: 'status', from: ['new'], to: 'assigned', roles: STAFF, timelineAction: 'assigned_officer' },
+  { trigger: 'status', from: ['new', 'assigned'], to: 'rejected', roles: STAFF, guards: ['reasonRequired'] },
+  { trigger: 'status', from: ['rejected'], to: 'new', roles: STAFF, timelineAction: 'reopened' },
+
+  // Field work
+  { trigger: 'status', from: ['assigned', 'escalated'], to: 'in_progress', roles: FIELD },
+  { trigger: 'status', from: ['assigned', 'in_progress', 'escalated'], to: 'on_hold', roles: FIELD, guards: ['holdReasonRequired'] },
+  { trigger: 'status', from: ['on_hold'], to: 'assigned', roles: FIELD, timelineAction: 'resumed' },
+  { trigger: 'status', from: ['on_hold'], to: 'in_progress', roles: FIELD, timelineAction: 'resumed' },
+  { trigger: 'status', from: ['escalated'], to: 'assigned', roles: STAFF, timelineAction: 'assigned_officer' },
+  { trigger: 'status', from: ['in_progress', 'on_hold', 'escalated'], to: 'resolved', roles: FIELD, guards: ['proofRequired', 'siteVisitRequired'] },
+
+  // Escalation (an escalated complaint can move further up the chain)
+  { trigger: 'escalate', from: OPEN, to: 'escalated', roles: STAFF, guards: ['reasonRequired'] },
+  { trigger: 'escalate', from: ['resolved', 'closed'], to: 'escalated', roles: ['citizen', 'admin'], guards: ['reasonRequired'] },
+
+  // Citizen feedback and reopening
+  { trigger: 'feedback', from: ['resolved'], to: 'closed', roles: ['citizen'] },
+  { trigger: 'reopen', from: ['resolved', 'closed'], to: 'new', roles: ['citizen', 'admin'], guards: ['reasonRequired'] },
+  { trigger: 'reopen', from: ['resolved', 'closed'], to: 'assigned', roles: ['citizen', 'admin'], guards: ['reasonRequired'] },
+
+  // Misclassified complaints start over in the right department
+  { trigger: 'transfer', from: OPEN, to: 'new', roles: STAFF, guards: ['reasonRequired'] },
+
+  // Duplicates are folded into a parent complaint and stop being worked
+  { trigger: 'merge', from: ['new', 'assigned', 'in_progress', 'on_hold', 'escalated'], to: 'merged', roles: STAFF },
+
+  // Scheduled resume back to the status held before
+  { trigger: 'auto_resume', from: ['on_hold'], to: 'assigned', roles: ['system'] },
+  { trigger: 'auto_resume', from: ['on_hold'], to: 'in_progress', roles: ['system'] },
+  { trigger: 'auto_resume', from: ['on_hold'], to: 'escalated', roles: ['system'] }
+].map(transition => ({
+  guards: [],
+  timelineAction: transition.to,
+  notify: false,
+  recordRemark: false,
+  ...TRIGGER_DEFAULTS[transition.trigger],
+  ...transition
+}));
+
+module.exports = {
+  STATES,
+  TRANSITIONS
+};
@@ -0,0 +1,69 @@
+/**
+ * Escalation matrix
+ *
+ * Each department has an ordered chain of escalation levels. A level is owned
+ * either by a specific person (employeeId) or by the first active user that
+ * matches its role/designation within the given scope:
+ *   - department: same department as the complaint
+ *   - zone:       same zone as the complaint location
+ *   - city:       no additional filter
+ *
+ * With `fallbackToRole`, a level whose designation nobody holds yet falls back
+ * to a user of its role that has no designation (never a zonal head or
+ * commissioner).
+ * Level numbers map directly to `complaint.escalation.level`; level 0 means the
+ * complaint has not been escalated yet.
+ */
+
+const DEFAULT_LEVELS = [
+  {
+    level: 1,
+    title: 'Department Officer',
+    role: 'officer',
+    designation: 'department_officer',
+    fallbackToRole: true,
+    scope: 'department'
+  },
+  {
+    level: 2,
+    title: 'Zonal Head',
+    role: 'officer',
+    designation: 'zonal_head',
+    scope: 'zone'
+  },
+  {
+    level: 3,
+    title: 'Commissioner',
+    role: 'admin',
+    designation: 'commissioner',
+    scope: 'city'
+  }
+];
+
+// Department-specific chains override the default chain
+const DEPARTMENT_LEVELS = {
+  // Emergency services skip the zonal office and go straight to the commissioner
+  'Fire Department': [
+    { level: 1, title: 'Department Officer', role: 'officer', designation: 'department_officer', fallbackToRole: true, scope: 'department' },
+    { level: 2, title: 'Commissioner', role: 'admin', designation: 'commissioner', scope: 'city' }
+  ],
+  'Health Department': [
+    { level: 1, title: 'Department Officer', role: 'officer', designation: 'department_officer', fallbackToRole: true, scope: 'department' },
+    { level: 2, title: 'Commissioner', role: 'admin', designation: 'commissioner', scope: 'city' }
+  ]
+};
+
+/**
+ * Get the escalation chain for a department
+ * @param {string} department - Department name
+ * @returns {Array} Ordered escalation levels
+ */
+const getEscalationLevels = (department) => {
+  return DEPARTMENT_LEVELS[department] || DEFAULT_LEVELS;
+};
+
+module.exports = {
+  DEFAULT_LEVELS,
+  DEPARTMENT_LEVELS,
+  getEscalationLevels
+};
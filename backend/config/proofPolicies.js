@@ -0,0 +1,85 @@
+/**
+ * Resolution proof policies
+ *
+ * Proof uploaded when resolving a complaint goes into typed slots:
+ *   before    photo of the problem before work started
+ *   after     photo of the finished work
+ *   document  supporting paperwork (work order, receipt, report)
+ *
+ * Each category says whether proof is needed to resolve a complaint
+ * (`proofRequired`) and lists the slots that must hold at least one file.
+ * Proof without required slots means at least one file in any slot.
+ * Categories without a policy need at least one file.
+ */
+
+// Upload field carrying each slot's files
+const PROOF_FIELDS = {
+  before: 'proofBefore',
+  after: 'proofAfter',
+  document: 'proofDocument'
+};
+
+// Kinds of file (by content) each slot accepts
+const PROOF_FILE_KINDS = {
+  before: ['image', 'video'],
+  after: ['image', 'video'],
+  document: ['image', 'document']
+};
+
+const DEFAULT_POLICY = {
+  proofRequired: true,
+  required: []
+};
+
+const CATEGORY_POLICIES = {
+  'Road and Infrastructure': {
+    proofRequired: true,
+    required: ['before', 'after']
+  },
+  'Sanitation and Waste Management': {
+    proofRequired: true,
+    required: ['before', 'after']
+  },
+  'Water Supply': {
+    proofRequired: true,
+    required: ['after']
+  },
+  'Electricity': {
+    proofRequired: true,
+    required: ['after']
+  },
+  'Parks and Recreation': {
+    proofRequired: true,
+    required: ['before', 'after']
+  },
+  'Revenue and Tax': {
+    proofRequired: true,
+    required: ['document']
+  },
+  // Emergency responses leave nothing to photograph; proof is optional
+  'Public Safety': {
+    proofRequired: false,
+    required: []
+  },
+  'Health Services': {
+    proofRequired: false,
+    required: []
+  }
+};
+
+/**
+ * Get the proof policy for a complaint category
+ * @param {string} category - Complaint category
+ * @returns {Object} Policy ({ proofRequired, required })
+ */
+const getProofPolicy = (category) => {
+  return CATEGORY_POLICIES[category] || DEFAULT_POLICY;
+};
+
+module.exports = {
+  PROOF_FIELDS,
+  PROOF_FILE_KINDS,
+  DEFAULT_POLICY,
+  CATEGORY_POLICIES,
+  getProofPolicy
+};
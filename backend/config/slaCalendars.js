@@ -0,0 +1,57 @@
+/**
+ * SLA calendars
+ *
+ * SLA deadlines and remaining hours count only working time on the
+ * department's calendar. Public holidays come from data/holidays.json.
+ * Departments flagged `is24x7` count every wall-clock hour.
+ *
+ * Times are local to Indore (IST, UTC+05:30).
+ */
+
+const DEFAULT_CALENDAR = {
+  name: 'Municipal office hours',
+  is24x7: false,
+  utcOffsetMinutes: 330,
+  workingHours: { start: '10:00', end: '18:00' },
+  weeklyOffs: [0], // Sunday (0 = Sunday ... 6 = Saturday)
+  observeHolidays: true
+};
+
+const ROUND_THE_CLOCK = {
+  name: '24x7 emergency service',
+  is24x7: true,
+  utcOffsetMinutes: 330
+};
+
+// Department-specific calendars override the default calendar
+const DEPARTMENT_CALENDARS = {
+  'Fire Department': ROUND_THE_CLOCK,
+  'Health Department': ROUND_THE_CLOCK,
+  'Water Works': {
+    ...DEFAULT_CALENDAR,
+    name: 'Water Works field hours',
+    workingHours: { start: '07:00', end: '20:00' },
+    weeklyOffs: []
+  },
+  'Electricity': {
+    ...DEFAULT_CALENDAR,
+    name: 'Electricity field hours',
+    workingHours: { start: '07:00', end: '21:00' },
+    weeklyOffs: []
+  }
+};
+
+/**
+ * Get the SLA calendar for a department
+ * @param {string} department - Department name
+ * @returns {Object} Calendar definition
+ */
+const getSLACalendar = (department) => {
+  return DEPARTMENT_CALENDARS[department] || DEFAULT_CALENDAR;
+};
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  DEPARTMENT_CALENDARS,
+  getSLACalendar
+};
@@ -0,0 +1,27 @@
+/**
+ * City zones
+ *
+ * Approximate centre of each Indore zone, used as the position of field
+ * staff whose last known location is missing or stale.
+ */
+
+const ZONE_CENTERS = {
+  'Zone 1': { latitude: 22.7196, longitude: 75.8577 },
+  'Zone 2': { latitude: 22.7532, longitude: 75.8937 },
+  'Zone 3': { latitude: 22.7042, longitude: 75.8794 },
+  'Zone 4': { latitude: 22.6953, longitude: 75.8567 },
+  'Zone 5': { latitude: 22.6890, longitude: 75.8456 },
+  'Zone 6': { latitude: 22.7234, longitude: 75.8123 }
+};
+
+/**
+ * Get the centre of a zone
+ * @param {string} zone - Zone name
+ * @returns {Object|null} { latitude, longitude }, or null for an unknown zone
+ */
+const getZoneCenter = (zone) => ZONE_CENTERS[zone] || null;
+
+module.exports = {
+  ZONE_CENTERS,
+  getZoneCenter
+};
@@ -2,6 +2,11 @@ const Complaint = require('../models/Complaint');
 const User = require('../models/User');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 
+// Officer overrides take precedence over the AI classification
+const EFFECTIVE_PRIORITY = { $ifNull: ['$manualClassification.priority', '$aiClassification.priority'] };
+const EFFECTIVE_CATEGORY = { $ifNull: ['$manualClassification.category', '$aiClassification.category'] };
+const EFFECTIVE_DEPARTMENT = { $ifNull: ['$manualClassification.department', '$aiClassification.department'] };
+
 // @desc    Get dashboard statistics based on user role
 // @route   GET /api/analytics/dashboard
 // @access  Private
@@ -12,7 +17,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
     // Apply role-based filtering
     switch (req.user.role) {
       case 'officer':
-        query['aiClassification.department'] = req.user.department;
+        query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
         break;
       case 'mitra':
         query.assignedMitra = req.user.id;
@@ -32,15 +37,17 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
           new: { $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] } },
           assigned: { $sum: { $cond: [{ $eq: ['$status', 'assigned'] }, 1, 0] } },
           inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
+          onHold: { $sum: { $cond: [{ $eq: ['$status', 'on_hold'] }, 1, 0] } },
           resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
           closed: { $sum: { $cond: [{ $eq: ['$status', 'closed'] }, 1, 0] } },
           rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
           escalated: { $sum: { $cond: [{ $eq: ['$status', 'escalated'] }, 1, 0] } },
+          merged: { $sum: { $cond: [{ $eq: ['$status', 'merged'] }, 1, 0] } },
           slaBreached: { $sum: { $cond: ['$sla.isBreached', 1, 0] } },
-          critical: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'critical'] }, 1, 0] } },
-          high: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'high'] }, 1, 0] } },
-          medium: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'medium'] }, 1, 0] } },
-          low: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'low'] }, 1, 0] } },
+          critical: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'critical'] }, 1, 0] } },
+          high: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'high'] }, 1, 0] } },
+          medium: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'medium'] }, 1, 0] } },
+          low: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'low'] }, 1, 0] } },
           avgRating: { $avg: '$citizenFeedback.rating' },
           avgResolutionTime: { $avg: '$resolution.resolutionTime' }
         }
@@ -48,14 +55,14 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
     ]);
     
     const result = stats || {
-      total: 0, new: 0, assigned: 0, inProgress: 0, resolved: 0, 
-      closed: 0, rejected: 0, escalated: 0, slaBreached: 0,
+      total: 0, new: 0, assigned: 0, inProgress: 0, onHold: 0, resolved: 0, 
+      closed: 0, rejected: 0, escalated: 0, merged: 0, slaBreached: 0,
       critical: 0, high: 0, medium: 0, low: 0,
       avgRating: 0, avgResolutionTime: 0
     };
     
     // Calculate additional metrics
-    result.pending = result.total - result.resolved - result.closed - result.rejected;
+    result.pending = result.total - result.resolved - result.closed - result.rejected - result.merged;
     result.resolutionRate = result.total > 0 ? Math.round((result.resolved / result.total) * 100) : 0;
     result.slaComplianceRate = result.total > 0 ? Math.round(((result.total - result.slaBreached) / result.total) * 100) : 100;
     
@@ -65,7 +72,7 @@ const getDashboardStats = asyncHandler(async (req, res, next) => {
       .limit(5)
       .populate('citizen', 'name')
       .populate('assignedMitra', 'name')
-      .select('complaintId title status aiClassification.priority sla.status createdAt');
+      .select('complaintId title status aiClassification.priority manualClassification.priority sla.status createdAt');
     
     res.status(200).json({
       success: true,
@@ -97,7 +104,7 @@ const getTrendAnalysis = asyncHandler(async (req, res, next) => {
     
     // Apply role-based filtering
     if (req.user.role === 'officer') {
-      query['aiClassification.department'] = req.user.department;
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
     } else if (req.user.role === 'mitra') {
       query.assignedMitra = req.user.id;
     } else if (req.user.role === 'citizen') {
@@ -135,7 +142,7 @@ const getTrendAnalysis = asyncHandler(async (req, res, next) => {
       { $match: query },
       {
         $group: {
-          _id: '$aiClassification.category',
+          _id: EFFECTIVE_CATEGORY,
           count: { $sum: 1 },
           resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
         }
@@ -167,7 +174,7 @@ const getPerformanceMetrics = asyncHandler(async (req, res, next) => {
     
     // Apply role-based filtering
     if (req.user.role === 'officer') {
-      query['aiClassification.department'] = req.user.department;
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
     } else if (req.user.role === 'mitra') {
       query.assignedMitra = req.user.id;
     } else if (req.user.role === 'citizen') {
@@ -182,7 +189,7 @@ const getPerformanceMetrics = asyncHandler(async (req, res, next) => {
       { $match: { isActive: true } },
       {
         $group: {
-          _id: '$aiClassification.department',
+          _id: EFFECTIVE_DEPARTMENT,
           total: { $sum: 1 },
           resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
           avgResolutionTime: { $avg: '$resolution.resolutionTime' },
@@ -203,7 +210,7 @@ const getPerformanceMetrics = asyncHandler(async (req, res, next) => {
     let mitraPerformance = [];
     if (req.user.role !== 'mitra') {
       const mitraQuery = req.user.role === 'officer' 
-        ? { assignedMitra: { $exists: true }, 'aiClassification.department': req.user.department }
+        ? { assignedMitra: { $exists: true }, ...Complaint.effectiveDepartmentQuery(req.user.department) }
         : { assignedMitra: { $exists: true } };
         
       mitraPerformance = await Complaint.aggregate([
@@ -225,12 +232,32 @@ const getPerformanceMetrics = asyncHandler(async (req, res, next) => {
             total: { $sum: 1 },
             resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
             avgResolutionTime: { $avg: '$resolution.resolutionTime' },
-            avgRating: { $avg: '$citizenFeedback.rating' }
+            avgRating: { $avg: '$citizenFeedback.rating' },
+            // Site check-ins by the assigned Mitra
+            siteVisits: {
+              $sum: {
+                $size: {
+                  $filter: {
+                    input: { $ifNull: ['$siteVisits', []] },
+                    cond: { $eq: ['$$this.mitra', '$assignedMitra'] }
+                  }
+                }
+              }
+            },
+            siteVerifiedResolutions: { $sum: { $cond: [{ $eq: ['$resolution.siteVerified', true] }, 1, 0] } },
+            unverifiedResolutions: { $sum: { $cond: [{ $eq: ['$resolution.siteVerified', false] }, 1, 0] } }
           }
         },
         {
           $addFields: {
-            resolutionRate: { $multiply: [{ $divide: ['$resolved', '$total'] }, 100] }
+            resolutionRate: { $multiply: [{ $divide: ['$resolved', '$total'] }, 100] },
+            siteVerificationRate: {
+              $cond: [
+                { $gt: [{ $add: ['$siteVerifiedResolutions', '$unverifiedResolutions'] }, 0] },
+                { $multiply: [{ $divide: ['$siteVerifiedResolutions', { $add: ['$siteVerifiedResolutions', '$unverifiedResolutions'] }] }, 100] },
+                null
+              ]
+            }
           }
         },
         { $sort: { resolutionRate: -1 } }
@@ -264,10 +291,10 @@ const getZoneAnalytics = asyncHandler(async (req, res, next) => {
           total: { $sum: 1 },
           resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
           pending: { $sum: { $cond: [{ $ne: ['$status', 'resolved'] }, 1, 0] } },
-          critical: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'critical'] }, 1, 0] } },
-          high: { $sum: { $cond: [{ $eq: ['$aiClassification.priority', 'high'] }, 1, 0] } },
+          critical: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'critical'] }, 1, 0] } },
+          high: { $sum: { $cond: [{ $eq: [EFFECTIVE_PRIORITY, 'high'] }, 1, 0] } },
           avgRating: { $avg: '$citizenFeedback.rating' },
-          categories: { $push: '$aiClassification.category' }
+          categories: { $push: EFFECTIVE_CATEGORY }
         }
       },
       {
@@ -288,7 +315,7 @@ const getZoneAnalytics = asyncHandler(async (req, res, next) => {
             lng: { $round: [{ $multiply: ['$location.coordinates.longitude', 100] }, 0] }
           },
           count: { $sum: 1 },
-          complaints: { $push: { id: '$_id', title: '$title', priority: '$aiClassification.priority' } }
+          complaints: { $push: { id: '$_id', title: '$title', priority: EFFECTIVE_PRIORITY } }
         }
       },
       { $match: { count: { $gte: 3 } } },
@@ -319,7 +346,7 @@ const getSLAAnalytics = asyncHandler(async (req, res, next) => {
     
     // Apply role-based filtering
     if (req.user.role === 'officer') {
-      query['aiClassification.department'] = req.user.department;
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
     } else if (req.user.role === 'mitra') {
       query.assignedMitra = req.user.id;
     } else if (req.user.role === 'citizen') {
@@ -342,7 +369,7 @@ const getSLAAnalytics = asyncHandler(async (req, res, next) => {
       { $match: { isActive: true } },
       {
         $group: {
-          _id: '$aiClassification.department',
+          _id: EFFECTIVE_DEPARTMENT,
           total: { $sum: 1 },
           breached: { $sum: { $cond: ['$sla.isBreached', 1, 0] } },
           onTime: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'resolved'] }, { $eq: ['$sla.isBreached', false] }] }, 1, 0] } }
@@ -397,7 +424,7 @@ const getSatisfactionAnalytics = asyncHandler(async (req, res, next) => {
       { $match: { 'citizenFeedback.rating': { $exists: true } } },
       {
         $group: {
-          _id: '$aiClassification.department',
+          _id: EFFECTIVE_DEPARTMENT,
           avgRating: { $avg: '$citizenFeedback.rating' },
           totalRatings: { $sum: 1 },
           satisfied: { $sum: { $cond: ['$citizenFeedback.satisfied', 1, 0] } }
@@ -438,7 +465,7 @@ const getRealtimeStats = asyncHandler(async (req, res, next) => {
     
     // Apply role-based filtering
     if (req.user.role === 'officer') {
-      query['aiClassification.department'] = req.user.department;
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
     } else if (req.user.role === 'mitra') {
       query.assignedMitra = req.user.id;
     } else if (req.user.role === 'citizen') {
@@ -458,7 +485,7 @@ const getRealtimeStats = asyncHandler(async (req, res, next) => {
               $cond: [
                 { 
                   $and: [
-                    { $eq: ['$aiClassification.priority', 'critical'] },
+                    { $eq: [EFFECTIVE_PRIORITY, 'critical'] },
                     { $nin: ['$status', ['resolved', 'closed']] }
                   ]
                 }, 
@@ -488,6 +515,215 @@ const getRealtimeStats = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Get how often officers override the AI classification, per category
+// @route   GET /api/analytics/overrides
+// @access  Private/Officer,Admin
+const getOverrideAnalytics = asyncHandler(async (req, res, next) => {
+  try {
+    let query = { isActive: true };
+    
+    // Apply role-based filtering
+    if (req.user.role === 'officer') {
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
+    }
+    
+    const byCategory = await Complaint.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$aiClassification.category',
+          total: { $sum: 1 },
+          overridden: {
+            $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$manualClassification.history', []] } }, 0] }, 1, 0] }
+          },
+          categoryOverridden: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$manualClassification.category', null] }, null] }, 1, 0] } },
+          departmentOverridden: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$manualClassification.department', null] }, null] }, 1, 0] } },
+          priorityOverridden: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$manualClassification.priority', null] }, null] }, 1, 0] } },
+          avgConfidence: { $avg: '$aiClassification.confidence' }
+        }
+      },
+      {
+        $addFields: {
+          overrideRate: { $round: [{ $multiply: [{ $divide: ['$overridden', '$total'] }, 100] }, 1] }
+        }
+      },
+      { $sort: { overrideRate: -1 } }
+    ]);
+    
+    // Most common corrections (AI value -> officer value)
+    const corrections = await Complaint.aggregate([
+      { $match: { ...query, 'manualClassification.history.0': { $exists: true } } },
+      { $unwind: '$manualClassification.history' },
+      {
+        $group: {
+          _id: {
+            fromCategory: '$manualClassification.history.previousCategory',
+            toCategory: '$manualClassification.history.category',
+            fromDepartment: '$manualClassification.history.previousDepartment',
+            toDepartment: '$manualClassification.history.department',
+            fromPriority: '$manualClassification.history.previousPriority',
+            toPriority: '$manualClassification.history.priority'
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 20 }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        byCategory,
+        corrections
+      }
+    });
+    
+  } catch (error) {
+    console.error('Override analytics error:', error);
+    next(new ErrorResponse('Failed to fetch override analytics', 500));
+  }
+});
+
+// @desc    Get on-hold analytics (current holds and time paused)
+// @route   GET /api/analytics/holds
+// @access  Private/Officer,Admin
+const getHoldAnalytics = asyncHandler(async (req, res, next) => {
+  try {
+    let query = { isActive: true };
+    
+    // Apply role-based filtering
+    if (req.user.role === 'officer') {
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
+    }
+    
+    const currentHolds = await Complaint.aggregate([
+      { $match: { ...query, status: 'on_hold' } },
+      {
+        $group: {
+          _id: {
+            department: EFFECTIVE_DEPARTMENT,
+            reason: '$hold.reason'
+          },
+          count: { $sum: 1 },
+          oldestHeldAt: { $min: '$hold.heldAt' }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+    
+    const pausedTime = await Complaint.aggregate([
+      { $match: { ...query, 'hold.history.0': { $exists: true } } },
+      { $unwind: '$hold.history' },
+      {
+        $group: {
+          _id: {
+            department: EFFECTIVE_DEPARTMENT,
+            reason: '$hold.history.reason'
+          },
+          holds: { $sum: 1 },
+          autoResumed: { $sum: { $cond: ['$hold.history.autoResumed', 1, 0] } },
+          totalPausedHours: { $sum: '$hold.history.pausedHours' },
+          avgPausedHours: { $avg: '$hold.history.pausedHours' }
+        }
+      },
+      { $sort: { totalPausedHours: -1 } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        currentHolds,
+        pausedTime
+      }
+    });
+    
+  } catch (error) {
+    console.error('Hold analytics error:', error);
+    next(new ErrorResponse('Failed to fetch hold analytics', 500));
+  }
+});
+
+// @desc    Get reopen analytics per department and per Mitra
+// @route   GET /api/analytics/reopens
+// @access  Private/Officer,Admin
+const getReopenAnalytics = asyncHandler(async (req, res, next) => {
+  try {
+    let query = { isActive: true, 'reopen.count': { $gt: 0 } };
+    
+    // Apply role-based filtering
+    if (req.user.role === 'officer') {
+      query.$and = [Complaint.effectiveDepartmentQuery(req.user.department)];
+    }
+    
+    const reopensByDepartment = await Complaint.aggregate([
+      { $match: query },
+      { $unwind: '$reopen.history' },
+      {
+        $group: {
+          _id: '$reopen.history.department',
+          reopens: { $sum: 1 },
+          complaints: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          reopens: 1,
+          complaintsReopened: { $size: '$complaints' }
+        }
+      },
+      { $sort: { reopens: -1 } }
+    ]);
+    
+    const reopensByMitra = await Complaint.aggregate([
+      { $match: query },
+      { $unwind: '$reopen.history' },
+      { $match: { 'reopen.history.assignedMitra': { $ne: null } } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'reopen.history.assignedMitra',
+          foreignField: '_id',
+          as: 'mitra'
+        }
+      },
+      { $unwind: '$mitra' },
+      {
+        $group: {
+          _id: '$reopen.history.assignedMitra',
+          name: { $first: '$mitra.name' },
+          employeeId: { $first: '$mitra.employeeId' },
+          department: { $first: '$mitra.department' },
+          reopens: { $sum: 1 },
+          complaints: { $addToSet: '$_id' }
+        }
+      },
+      {
+        $project: {
+          name: 1,
+          employeeId: 1,
+          department: 1,
+          reopens: 1,
+          complaintsReopened: { $size: '$complaints' }
+        }
+      },
+      { $sort: { reopens: -1 } }
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        byDepartment: reopensByDepartment,
+        byMitra: reopensByMitra
+      }
+    });
+    
+  } catch (error) {
+    console.error('Reopen analytics error:', error);
+    next(new ErrorResponse('Failed to fetch reopen analytics', 500));
+  }
+});
+
 // Additional placeholder methods for admin-only advanced analytics
 const getPatternAnalysis = asyncHandler(async (req, res, next) => {
   res.status(200).json({
@@ -532,6 +768,9 @@ module.exports = {
   getSLAAnalytics,
   getSatisfactionAnalytics,
   getRealtimeStats,
+  getOverrideAnalytics,
+  getHoldAnalytics,
+  getReopenAnalytics,
   getPatternAnalysis,
   getPredictiveAnalytics,
   getHotspotAnalysis,
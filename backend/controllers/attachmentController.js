@@ -0,0 +1,125 @@
+const { validationResult } = require('express-validator');
+const Complaint = require('../models/Complaint');
+const AttachmentAccess = require('../models/AttachmentAccess');
+const User = require('../models/User');
+const attachmentAccessService = require('../services/attachmentAccessService');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Download a complaint attachment
+// @route   GET /api/complaints/:id/attachments/:attachmentId
+// @access  Private (complaint access)
+const getAttachment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const complaint = req.complaint;
+  const attachment = attachmentAccessService.findAttachment(complaint, req.params.attachmentId);
+
+  await attachmentAccessService.send(req, res, {
+    complaint,
+    attachment,
+    variant: req.query.variant,
+    user: req.user._id,
+    via: 'session'
+  });
+});
+
+// @desc    Get a short-lived signed URL for a complaint attachment
+// @route   GET /api/complaints/:id/attachments/:attachmentId/signed-url
+// @access  Private (complaint access)
+const getAttachmentSignedUrl = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const complaint = req.complaint;
+  const attachment = attachmentAccessService.findAttachment(complaint, req.params.attachmentId);
+
+  // Fail now rather than when the link is opened
+  attachmentAccessService.getFile(attachment, req.query.variant);
+
+  res.status(200).json({
+    success: true,
+    data: attachmentAccessService.sign(complaint, attachment, req.query.variant, req.user)
+  });
+});
+
+// @desc    Download a complaint attachment through a signed URL
+// @route   GET /api/files/:token
+// @access  Public (signed URL)
+const getSignedAttachment = asyncHandler(async (req, res, next) => {
+  const access = attachmentAccessService.verify(req.params.token);
+
+  const [complaint, user] = await Promise.all([
+    Complaint.findById(access.complaint),
+    User.findById(access.user).select('isActive')
+  ]);
+
+  if (!complaint) {
+    return next(new ErrorResponse('Attachment not found', 404));
+  }
+
+  // Links stop working as soon as the account is deactivated
+  if (!user || !user.isActive) {
+    return next(new ErrorResponse('Attachment link is invalid or has expired', 403));
+  }
+
+  const attachment = attachmentAccessService.findAttachment(complaint, access.attachment);
+
+  await attachmentAccessService.send(req, res, {
+    complaint,
+    attachment,
+    variant: access.variant,
+    user: user._id,
+    via: 'signed_url'
+  });
+});
+
+// @desc    Get who downloaded a complaint's attachments
+// @route   GET /api/complaints/:id/attachments/access-log
+// @access  Private/Officer,Admin
+const getAttachmentAccessLog = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const query = { complaint: req.complaint._id };
+
+  const [entries, total] = await Promise.all([
+    AttachmentAccess.find(query)
+      .populate('user', 'name role department')
+      .sort({ accessedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AttachmentAccess.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    },
+    data: entries
+  });
+});
+
+module.exports = {
+  getAttachment,
+  getAttachmentSignedUrl,
+  getSignedAttachment,
+  getAttachmentAccessLog
+};
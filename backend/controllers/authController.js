@@ -449,25 +449,6 @@ const deleteUser = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Get department mitra
-// @route   GET /api/auth/department/:dept/mitra
-// @access  Private/Officer,Admin
-const getDepartmentMitra = asyncHandler(async (req, res, next) => {
-  const department = req.params.dept;
-
-  const mitra = await User.find({
-    role: 'mitra',
-    department,
-    isActive: true
-  }).select('name email phone employeeId');
-
-  res.status(200).json({
-    success: true,
-    count: mitra.length,
-    data: mitra
-  });
-});
-
 // Helper function to get token from model, create cookie and send response
 const sendTokenResponse = (user, statusCode, res, message) => {
   // Create token
@@ -520,6 +501,5 @@ module.exports = {
   getUsers,
   getUser,
   updateUser,
-  deleteUser,
-  getDepartmentMitra
+  deleteUser
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+const { validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const commentService = require('../services/commentService');
+const notificationService = require('../services/notificationService');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Tell staff about a new or edited comment over socket, and push a
+ * mention notification to each newly mentioned user
+ * @param {Object} req - Express request
+ * @param {string} event - Socket event for the department and admins
+ * @param {Object} comment - Comment document
+ * @param {Array} mentioned - Users to notify of the mention
+ * @returns {Promise<void>}
+ */
+const notifyComment = async (req, event, comment, mentioned) => {
+  const io = req.app.get('socketio');
+  const complaint = req.complaint;
+
+  const commentData = {
+    complaintId: complaint.complaintId,
+    commentId: comment._id,
+    parentId: comment.parent,
+    text: comment.text,
+    author: req.user.name,
+    at: comment.editedAt || comment.createdAt
+  };
+
+  if (io) {
+    // Notify staff on the complaint; citizens never see the discussion
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit(event, commentData);
+    if (complaint.assignedMitra) {
+      io.to(`user_${complaint.assignedMitra}`).emit(event, commentData);
+    }
+    io.to('role_admin').emit(event, commentData);
+  }
+
+  // Notify mentioned users in their room and inbox
+  await notificationService.notify(io, mentioned.map(user => user._id), 'comment_mention', commentData, {
+    type: 'mention',
+    title: `Mentioned on ${complaint.complaintId}`,
+    message: `${req.user.name} mentioned you: ${comment.text.slice(0, 200)}`,
+    complaint: complaint._id
+  });
+};
+
+// @desc    Get the discussion on a complaint as threads
+// @route   GET /api/complaints/:id/comments
+// @access  Private/Officer,Mitra,Admin (complaint access)
+const getComments = asyncHandler(async (req, res, next) => {
+  const threads = await commentService.getThreads(req.complaint);
+
+  res.status(200).json({
+    success: true,
+    count: threads.length,
+    data: threads
+  });
+});
+
+// @desc    Comment on a complaint or reply to a comment
+// @route   POST /api/complaints/:id/comments
+// @access  Private/Officer,Mitra,Admin (complaint access)
+const addComment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { text, parentId } = req.body;
+  const { comment, mentioned } = await commentService.addComment(req.complaint, req.user, { text, parentId });
+
+  await notifyComment(req, 'new_comment', comment, mentioned);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: comment.toThreadJSON()
+  });
+});
+
+// @desc    Edit a comment (previous text kept in its history)
+// @route   PUT /api/complaints/:id/comments/:commentId
+// @access  Private/Officer,Mitra,Admin (author only)
+const updateComment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const existing = await commentService.findComment(req.complaint, req.params.commentId);
+  const { comment, mentioned } = await commentService.editComment(existing, req.user, req.body.text, req.complaint);
+
+  await notifyComment(req, 'comment_updated', comment, mentioned);
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: comment.toThreadJSON()
+  });
+});
+
+// @desc    Delete a comment (text kept in its history)
+// @route   DELETE /api/complaints/:id/comments/:commentId
+// @access  Private/Officer,Mitra,Admin (author or admin)
+const deleteComment = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const comment = await commentService.findComment(req.complaint, req.params.commentId);
+  await commentService.deleteComment(comment, req.user);
+
+  const io = req.app.get('socketio');
+  if (io) {
+    const deleteData = {
+      complaintId: req.complaint.complaintId,
+      commentId: comment._id
+    };
+
+    // Notify staff on the complaint
+    io.to(`dept_${req.complaint.effectiveClassification.department}`).emit('comment_deleted', deleteData);
+    if (req.complaint.assignedMitra) {
+      io.to(`user_${req.complaint.assignedMitra}`).emit('comment_deleted', deleteData);
+    }
+    io.to('role_admin').emit('comment_deleted', deleteData);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+// @desc    Get a comment's edit and delete history
+// @route   GET /api/complaints/:id/comments/:commentId/history
+// @access  Private/Officer,Admin (complaint access)
+const getCommentHistory = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const comment = await Comment.findOne({ _id: req.params.commentId, complaint: req.complaint._id })
+    .populate('author', 'name role employeeId')
+    .populate('deletedBy', 'name role')
+    .populate('history.changedBy', 'name role');
+
+  if (!comment) {
+    return next(new ErrorResponse('Comment not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: comment
+  });
+});
+
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  getCommentHistory
+};
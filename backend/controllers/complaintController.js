@@ -3,8 +3,277 @@ const Complaint = require('../models/Complaint');
 const User = require('../models/User');
 const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 const aiClassificationService = require('../services/aiClassificationService');
+const escalationService = require('../services/escalationService');
+const complaintWorkflowService = require('../services/complaintWorkflowService');
+const complaintExportService = require('../services/complaintExportService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const autoAssignmentService = require('../services/autoAssignmentService');
+const siteVisitService = require('../services/siteVisitService');
+const imageProcessingService = require('../services/imageProcessingService');
+const uploadService = require('../services/uploadService');
+const fileScanService = require('../services/fileScanService');
+const notificationService = require('../services/notificationService');
+const { PROOF_FIELDS } = require('../config/proofPolicies');
 const sendEmail = require('../utils/sendEmail');
 const sendSMS = require('../utils/sendSMS');
+const sendBatchSMS = require('../utils/sendBatchSMS');
+
+// How the SLA is recomputed when a complaint changes department (TRANSFER_SLA_MODE):
+//   restart  - fresh SLA from the transfer under the new department's policy
+//   original - new department's policy counted from when the complaint was filed
+//   keep     - keep the current deadline
+const TRANSFER_SLA_MODES = ['restart', 'original', 'keep'];
+
+// Resolution proof slot of each upload field
+const PROOF_SLOTS_BY_FIELD = Object.fromEntries(
+  Object.entries(PROOF_FIELDS).map(([slot, field]) => [field, slot])
+);
+
+/**
+ * Check whether a Mitra can be assigned to a complaint
+ * @param {Object} mitra - Mitra user document
+ * @param {Object} complaint - Complaint document
+ * @param {Object} user - User making the assignment
+ * @returns {string|null} Error message, or null if the assignment is allowed
+ */
+const checkMitraAssignment = (mitra, complaint, user) => {
+  if (!mitra || mitra.role !== 'mitra' || !mitra.isActive) {
+    return 'Invalid Mitra selected';
+  }
+  if (mitra.department !== complaint.effectiveClassification.department) {
+    return 'Mitra must be from the same department';
+  }
+  
+  // Work can be queued outside shift hours, but not for someone away
+  const availability = mitra.getAvailability();
+  if (!availability.assignable) {
+    return `Mitra is not available: ${availability.reason}`;
+  }
+  
+  // Assigning a new complaint moves it to assigned
+  if (complaint.status === 'new') {
+    const transitionError = complaintWorkflowService.check(complaint, 'assigned', { user, trigger: 'assign' });
+    if (transitionError) {
+      return transitionError.message;
+    }
+  }
+  return null;
+};
+
+/**
+ * Apply a Mitra assignment to a complaint without saving it
+ * @param {Object} complaint - Complaint document
+ * @param {Object} mitra - Mitra user document
+ * @param {Object} assignment - Assignment details
+ * @param {Object} assignment.user - User making the assignment; role 'system' for auto-assignment
+ * @param {string} [assignment.remarks] - Optional remarks
+ * @param {string} [assignment.reason] - Why this Mitra was chosen, recorded in the timeline
+ */
+const applyMitraAssignment = (complaint, mitra, { user, remarks = '', reason = '' }) => {
+  const now = new Date();
+  const userId = user.id;
+  
+  complaint.assignedMitra = mitra._id;
+  complaint.mitraPhone = mitra.phone;
+  if (user.role !== 'system') {
+    complaint.assignedOfficer = userId;
+  }
+  
+  if (complaint.status === 'new') {
+    complaintWorkflowService.apply(complaint, 'assigned', { user, trigger: 'assign', remarks });
+  }
+  
+  complaint.timeline.push({
+    action: 'assigned_mitra',
+    description: reason
+      ? `Complaint auto-assigned to Mitra ${mitra.name}. ${reason}`
+      : `Complaint assigned to Mitra ${mitra.name}`,
+    performedBy: userId,
+    remarks,
+    performedAt: now
+  });
+  
+  if (remarks) {
+    complaint.remarks.push({
+      text: remarks,
+      addedBy: userId,
+      isPublic: true,
+      addedAt: now
+    });
+  }
+};
+
+/**
+ * Tell the Mitra, citizen and department about an assignment over socket,
+ * and the Mitra over SMS. Failures are logged, not thrown.
+ * @param {Object} io - Socket.io instance (may be undefined)
+ * @param {Object} complaint - Complaint document
+ * @param {Object} mitra - Assigned Mitra
+ * @param {string} assignedBy - Name of who assigned it
+ */
+const notifyMitraAssignment = async (io, complaint, mitra, assignedBy) => {
+  const assignmentData = {
+    complaintId: complaint.complaintId,
+    assignedTo: mitra.name,
+    assignedBy
+  };
+  
+  if (io) {
+    // Notify assigned mitra
+    io.to(`user_${mitra._id}`).emit('complaint_assigned', assignmentData);
+    
+    // Notify citizen
+    io.to(`user_${complaint.citizen}`).emit('complaint_assigned', assignmentData);
+    
+    // Notify department
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_assigned', assignmentData);
+  }
+  
+  // Save to the same users' inboxes
+  await notificationService.record({
+    users: [mitra._id, complaint.citizen],
+    departments: [complaint.effectiveClassification.department]
+  }, {
+    type: 'complaint_assigned',
+    title: `Complaint ${complaint.complaintId} assigned`,
+    message: `Assigned to ${mitra.name} by ${assignedBy}`,
+    complaint: complaint._id,
+    data: assignmentData
+  });
+  
+  // Send SMS to mitra
+  try {
+    await sendSMS(
+      mitra.phone,
+      `New complaint ${complaint.complaintId} assigned to you. Priority: ${complaint.effectiveClassification.priority}. Location: ${complaint.location.address}. Check i-Mitra portal for details.`
+    );
+  } catch (notificationError) {
+    console.error('Mitra assignment notification failed:', notificationError);
+  }
+};
+
+/**
+ * Emit one socket event per room for a bulk action instead of one per complaint
+ * @param {Object} io - Socket.io instance
+ * @param {string} event - Event name
+ * @param {Array} updates - Items of shape { rooms: string[], data: Object }
+ */
+const emitBulkUpdates = (io, event, updates) => {
+  const byRoom = new Map();
+  
+  updates.forEach(({ rooms, data }) => {
+    rooms.forEach(room => {
+      if (!byRoom.has(room)) {
+        byRoom.set(room, []);
+      }
+      byRoom.get(room).push(data);
+    });
+  });
+  
+  byRoom.forEach((items, room) => {
+    io.to(room).emit(event, { count: items.length, items });
+  });
+};
+
+/**
+ * Group items into a Map keyed by the given function
+ * @param {Array} items - Items to group
+ * @param {Function} keyFn - Returns the group key for an item
+ * @returns {Map} Key -> items
+ */
+const groupBy = (items, keyFn) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+/**
+ * Build the complaint query for a user's role and the list filters
+ * accepted by GET /api/complaints (status, priority, department, zone,
+ * slaStatus, startDate/endDate, search)
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - Request query parameters
+ * @returns {Object|null} Mongo query, or null for an unknown role
+ */
+const buildComplaintQuery = (user, filters) => {
+  const query = { isActive: true };
+  
+  switch (user.role) {
+    case 'citizen':
+      // Includes complaints the citizen's duplicates were merged into
+      query.$and = [{ $or: [{ citizen: user.id }, { 'reporters.citizen': user.id }] }];
+      break;
+      
+    case 'officer':
+      query.$and = [Complaint.effectiveDepartmentQuery(user.department)];
+      break;
+      
+    case 'mitra':
+      query.assignedMitra = user.id;
+      break;
+      
+    case 'admin':
+      // Admin can see all complaints
+      break;
+      
+    default:
+      return null;
+  }
+
+  // Apply filters from query parameters
+  if (filters.status) {
+    query.status = filters.status;
+  }
+  
+  // Officer overrides take precedence over the AI priority
+  if (filters.priority) {
+    query.$and = [...(query.$and || []), Complaint.effectivePriorityQuery(filters.priority)];
+  }
+  
+  // Officers stay scoped to their own department
+  if (filters.department && user.role !== 'officer') {
+    query.$and = [...(query.$and || []), Complaint.effectiveDepartmentQuery(filters.department)];
+  }
+  
+  if (filters.zone) {
+    query['location.zone'] = filters.zone;
+  }
+  
+  if (filters.slaStatus) {
+    query['sla.status'] = filters.slaStatus;
+  }
+  
+  // Date range filter
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) {
+      query.createdAt.$gte = new Date(filters.startDate);
+    }
+    if (filters.endDate) {
+      query.createdAt.$lte = new Date(filters.endDate);
+    }
+  }
+
+  // Search functionality
+  if (filters.search) {
+    const searchRegex = new RegExp(filters.search, 'i');
+    query.$or = [
+      { title: searchRegex },
+      { description: searchRegex },
+      { complaintId: searchRegex },
+      { 'location.address': searchRegex }
+    ];
+  }
+  
+  return query;
+};
 
 // @desc    Create new complaint with AI classification
 // @route   POST /api/complaints
@@ -20,7 +289,19 @@ const createComplaint = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const { title, description, location, language = 'en' } = req.body;
+  const { title, description, location, language = 'en', uploadIds = [] } = req.body;
+  
+  // Check the files' real types and scan them before anything is stored
+  await fileScanService.inspectEvidence(req.files, req.user);
+  
+  // Finished resumable uploads to attach (already checked when assembled)
+  const uploadedAttachments = await uploadService.getAttachments(uploadIds, req.user, {
+    isAllowed: kind => fileScanService.accepts(kind)
+  });
+  
+  // Strip metadata and build variants first: a photo that cannot be
+  // stripped rejects the complaint instead of being stored as uploaded
+  const processedAttachments = await imageProcessingService.buildAttachments(req.files);
   
   try {
     // Step 1: AI Classification
@@ -30,25 +311,16 @@ const createComplaint = asyncHandler(async (req, res, next) => {
     // Step 2: Generate complaint ID
     const complaintId = await Complaint.generateComplaintId();
     
-    // Step 3: Calculate SLA deadline
-    const slaDeadline = Complaint.calculateSLADeadline(
-      aiClassification.priority, 
-      aiClassification.department
-    );
+    // Step 3: Calculate SLA deadline from the matching SLA policy
+    const { deadline: slaDeadline, policy: slaPolicy } = await Complaint.resolveSLA(aiClassification);
     
-    // Step 4: Process file attachments
-    const attachments = [];
-    if (req.files && req.files.length > 0) {
-      req.files.forEach(file => {
-        attachments.push({
-          filename: file.filename,
-          originalName: file.originalname,
-          path: file.path,
-          size: file.size,
-          mimetype: file.mimetype
-        });
-      });
-    }
+    // Step 4: Add the resumable uploads to the processed attachments and
+    // fill in or cross-check the coordinates from the photos' GPS
+    const attachments = [
+      ...processedAttachments,
+      ...uploadedAttachments
+    ];
+    const photoLocation = imageProcessingService.checkPhotoLocation(location.coordinates, attachments);
     
     // Step 5: Create complaint
     const complaintData = {
@@ -59,23 +331,49 @@ const createComplaint = asyncHandler(async (req, res, next) => {
       location: {
         address: location.address,
         zone: location.zone,
-        coordinates: location.coordinates || {},
-        landmark: location.landmark || ''
+        coordinates: photoLocation.coordinates,
+        landmark: location.landmark || '',
+        coordinatesSource: photoLocation.source,
+        photoCheck: photoLocation.photoCheck
       },
       aiClassification,
       sla: {
         deadline: slaDeadline,
         remainingHours: Math.ceil((slaDeadline - new Date()) / (1000 * 60 * 60)),
-        status: 'safe'
+        status: 'safe',
+        policy: slaPolicy
       },
       attachments,
       language,
       status: 'new'
     };
     
+    // Step 6: Look for open complaints reporting the same issue. Officers
+    // decide whether to merge; a failed check never blocks the complaint.
+    // Candidates belong to other citizens, so only staff ever see them.
+    let possibleDuplicates = [];
+    try {
+      possibleDuplicates = await duplicateDetectionService.findLikelyDuplicates({
+        title,
+        description,
+        category: aiClassification.category,
+        coordinates: complaintData.location.coordinates
+      });
+    } catch (duplicateError) {
+      console.error('Duplicate check failed:', duplicateError);
+    }
+    
+    complaintData.duplicateCheck = {
+      candidates: possibleDuplicates.map(({ complaint, complaintId, distanceMeters, similarity, score }) => ({
+        complaint, complaintId, distanceMeters, similarity, score
+      })),
+      checkedAt: new Date()
+    };
+    
     const complaint = await Complaint.create(complaintData);
+    await uploadService.markAttached(uploadIds, complaint);
     
-    // Step 6: Add AI classification timeline entry
+    // Step 7: Add AI classification timeline entry
     await complaint.addTimelineEntry(
       'ai_classified',
       `Complaint automatically classified as ${aiClassification.category} with ${aiClassification.priority} priority`,
@@ -83,12 +381,29 @@ const createComplaint = asyncHandler(async (req, res, next) => {
       `AI Confidence: ${Math.round(aiClassification.confidence * 100)}%`
     );
     
-    // Step 7: Populate response data
+    // Step 8: Hand it to the best available Mitra when auto-assignment is on
+    let autoAssignedMitra = null;
+    if (autoAssignmentService.isEnabledOnCreate()) {
+      try {
+        const selection = await autoAssignmentService.selectMitra(complaint);
+        const systemUser = { id: req.user.id, role: 'system', name: 'System' };
+        
+        if (selection && !checkMitraAssignment(selection.mitra, complaint, systemUser)) {
+          applyMitraAssignment(complaint, selection.mitra, { user: systemUser, reason: selection.reason });
+          await complaint.save();
+          autoAssignedMitra = selection.mitra;
+        }
+      } catch (assignmentError) {
+        console.error('Auto-assignment failed:', assignmentError);
+      }
+    }
+    
+    // Step 9: Populate response data
     const populatedComplaint = await Complaint.findById(complaint._id)
       .populate('citizen', 'name email phone')
       .populate('timeline.performedBy', 'name role');
     
-    // Step 8: Real-time notification to department officers
+    // Step 10: Real-time notification to department officers
     const io = req.app.get('socketio');
     if (io) {
       io.to(`dept_${aiClassification.department}`).emit('new_complaint', {
@@ -101,9 +416,34 @@ const createComplaint = asyncHandler(async (req, res, next) => {
         complaint: populatedComplaint,
         message: `New complaint created: ${complaintId}`
       });
+      
+      // Ask the department to review likely duplicates
+      if (possibleDuplicates.length > 0) {
+        io.to(`dept_${aiClassification.department}`).emit('possible_duplicate', {
+          complaintId,
+          complaint: complaint._id,
+          candidates: possibleDuplicates
+        });
+      }
+    }
+    
+    // Save to the department's and admins' inboxes
+    await notificationService.record({
+      departments: [aiClassification.department],
+      roles: ['admin']
+    }, {
+      type: 'new_complaint',
+      title: `New complaint ${complaintId}`,
+      message: `New ${aiClassification.priority} priority complaint: ${title}`,
+      complaint: complaint._id,
+      data: { complaintId, priority: aiClassification.priority }
+    });
+    
+    if (autoAssignedMitra) {
+      await notifyMitraAssignment(io, complaint, autoAssignedMitra, 'System');
     }
     
-    // Step 9: Send confirmation email/SMS to citizen
+    // Step 11: Send confirmation email/SMS to citizen
     try {
       const emailMessage = `
         Dear ${req.user.name},
@@ -140,7 +480,7 @@ const createComplaint = asyncHandler(async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Complaint created successfully',
-      data: populatedComplaint
+      data: populatedComplaint.toJSONFor(req.user)
     });
     
   } catch (error) {
@@ -157,71 +497,10 @@ const getComplaints = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
   const startIndex = (page - 1) * limit;
 
-  // Build query based on user role
-  let query = { isActive: true };
-  
-  switch (req.user.role) {
-    case 'citizen':
-      query.citizen = req.user.id;
-      break;
-      
-    case 'officer':
-      query['aiClassification.department'] = req.user.department;
-      break;
-      
-    case 'mitra':
-      query.assignedMitra = req.user.id;
-      break;
-      
-    case 'admin':
-      // Admin can see all complaints
-      break;
-      
-    default:
-      return next(new ErrorResponse('Invalid user role', 403));
-  }
-
-  // Apply filters from query parameters
-  if (req.query.status) {
-    query.status = req.query.status;
-  }
-  
-  if (req.query.priority) {
-    query['aiClassification.priority'] = req.query.priority;
-  }
-  
-  if (req.query.department) {
-    query['aiClassification.department'] = req.query.department;
-  }
-  
-  if (req.query.zone) {
-    query['location.zone'] = req.query.zone;
-  }
-  
-  if (req.query.slaStatus) {
-    query['sla.status'] = req.query.slaStatus;
-  }
-  
-  // Date range filter
-  if (req.query.startDate || req.query.endDate) {
-    query.createdAt = {};
-    if (req.query.startDate) {
-      query.createdAt.$gte = new Date(req.query.startDate);
-    }
-    if (req.query.endDate) {
-      query.createdAt.$lte = new Date(req.query.endDate);
-    }
-  }
-
-  // Search functionality
-  if (req.query.search) {
-    const searchRegex = new RegExp(req.query.search, 'i');
-    query.$or = [
-      { title: searchRegex },
-      { description: searchRegex },
-      { complaintId: searchRegex },
-      { 'location.address': searchRegex }
-    ];
+  // Build query based on user role and filters
+  const query = buildComplaintQuery(req.user, req.query);
+  if (!query) {
+    return next(new ErrorResponse('Invalid user role', 403));
   }
 
   try {
@@ -255,7 +534,7 @@ const getComplaints = asyncHandler(async (req, res, next) => {
         limit,
         pages: Math.ceil(total / limit)
       },
-      data: complaints
+      data: complaints.map(complaint => complaint.toJSONFor(req.user))
     });
     
   } catch (error) {
@@ -265,7 +544,7 @@ const getComplaints = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Get single complaint
-// @route   GET /api/complaints/:id
+// @route   GET /api/complaints/:id, GET /api/complaints/lookup/:complaintNumber
 // @access  Private (with access control)
 const getComplaint = asyncHandler(async (req, res, next) => {
   const complaint = req.complaint; // Set by authorizeComplaintAccess middleware
@@ -285,7 +564,8 @@ const getComplaint = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: complaint
+    data: complaint.toJSONFor(req.user),
+    availableTransitions: complaintWorkflowService.getAvailableTransitions(complaint, req.user.role)
   });
 });
 
@@ -302,109 +582,71 @@ const updateComplaintStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const { status, remarks } = req.body;
+  const { status, remarks, holdReason, resumeAt, proofUploads = [] } = req.body;
   const complaint = req.complaint;
+  const io = req.app.get('socketio');
   
-  // Validate status transition
-  const validTransitions = {
-    'new': ['assigned', 'rejected'],
-    'assigned': ['in_progress', 'rejected'],
-    'in_progress': ['resolved', 'escalated'],
-    'resolved': ['closed'],
-    'rejected': ['new', 'escalated'],
-    'escalated': ['assigned', 'in_progress', 'resolved']
-  };
-  
-  if (!validTransitions[complaint.status]?.includes(status)) {
-    return next(new ErrorResponse(`Cannot change status from ${complaint.status} to ${status}`, 400));
+  // Escalation always goes through the department's escalation chain
+  if (status === 'escalated') {
+    const { level, owner } = await escalationService.escalate(complaint, {
+      user: req.user,
+      reason: remarks,
+      io
+    });
+    
+    const populatedComplaint = await Complaint.findById(complaint._id)
+      .populate('citizen', 'name email phone')
+      .populate('assignedOfficer', 'name email department')
+      .populate('assignedMitra', 'name email phone')
+      .populate('timeline.performedBy', 'name role');
+    
+    return res.status(200).json({
+      success: true,
+      message: `Complaint escalated to ${level.title} (${owner.name})`,
+      data: populatedComplaint
+    });
   }
 
-  const oldStatus = complaint.status;
-  complaint.status = status;
+  // Finished resumable uploads as proof, each of a kind its slot accepts
+  const proofUploadIds = proofUploads.map(({ uploadId }) => uploadId);
+  const proofUploadSlots = proofUploads.map(({ slot = 'after' }) => slot);
+  const uploadedProof = await uploadService.getAttachments(proofUploadIds, req.user, {
+    isAllowed: (kind, index) => fileScanService.accepts(kind, proofUploadSlots[index])
+  });
   
-  // Handle proof attachments for resolution
-  const proofAttachments = [];
-  if (req.files && req.files.length > 0) {
-    req.files.forEach(file => {
-      proofAttachments.push({
-        filename: file.filename,
-        originalName: file.originalname,
-        path: file.path,
-        size: file.size,
-        mimetype: file.mimetype
-      });
-    });
+  // Proof files by slot; untyped proofAttachments uploads count as after photos
+  const proofFilesBySlot = {};
+  for (const [field, files] of Object.entries(req.files || {})) {
+    const slot = PROOF_SLOTS_BY_FIELD[field] || 'after';
+    proofFilesBySlot[slot] = [...(proofFilesBySlot[slot] || []), ...files];
   }
   
-  // Update resolution info if resolved
-  if (status === 'resolved') {
-    const createdAt = new Date(complaint.createdAt);
-    const now = new Date();
-    const resolutionTime = Math.round((now - createdAt) / (1000 * 60 * 60));
-    
-    complaint.resolution = {
-      description: remarks,
-      resolvedBy: req.user.id,
-      resolvedAt: now,
-      resolutionTime,
-      proofAttachments
-    };
+  // Check each file's real type against its slot and scan it before storing
+  await fileScanService.inspectProof(proofFilesBySlot, req.user);
+  
+  // Handle proof attachments for resolution, labeled by slot
+  const proofAttachments = uploadedProof.map((attachment, index) => ({ ...attachment, slot: proofUploadSlots[index] }));
+  for (const [slot, files] of Object.entries(proofFilesBySlot)) {
+    proofAttachments.push(...await imageProcessingService.buildAttachments(files, { slot }));
   }
   
-  // Add timeline entry
-  await complaint.addTimelineEntry(
-    status,
-    `Status changed from ${oldStatus} to ${status}`,
-    req.user.id,
+  const transitionContext = {
+    user: req.user,
     remarks,
-    proofAttachments
-  );
-  
-  // Add remark
-  await complaint.addRemark(remarks, req.user.id);
-  
-  await complaint.save();
+    proofAttachments,
+    hold: { reason: holdReason, resumeAt },
+    io
+  };
   
-  // Real-time notification
-  const io = req.app.get('socketio');
-  if (io) {
-    const updateData = {
-      complaintId: complaint.complaintId,
-      status,
-      updatedBy: req.user.name,
-      remarks
-    };
-    
-    // Notify citizen
-    io.to(`user_${complaint.citizen}`).emit('complaint_status_updated', updateData);
-    
-    // Notify department
-    io.to(`dept_${complaint.aiClassification.department}`).emit('complaint_status_updated', updateData);
-    
-    // Notify admins
-    io.to('role_admin').emit('complaint_status_updated', updateData);
+  // Validate the transition for this role before touching the complaint
+  const transitionError = complaintWorkflowService.check(complaint, status, transitionContext);
+  if (transitionError) {
+    return next(transitionError);
   }
   
-  // Send notification to citizen
-  try {
-    const citizen = await User.findById(complaint.citizen);
-    if (citizen) {
-      const statusMessages = {
-        'assigned': 'Your complaint has been assigned to an officer.',
-        'in_progress': 'Work has started on your complaint.',
-        'resolved': 'Your complaint has been resolved. Please provide feedback.',
-        'rejected': 'Your complaint has been rejected.',
-        'escalated': 'Your complaint has been escalated for priority handling.'
-      };
-      
-      await sendSMS(
-        citizen.phone,
-        `Complaint ${complaint.complaintId} update: ${statusMessages[status]} ${remarks ? 'Remarks: ' + remarks : ''}`
-      );
-    }
-  } catch (notificationError) {
-    console.error('Status update notification failed:', notificationError);
-  }
+  // Saves, records the timeline and notifies citizen, department and admins
+  await complaintWorkflowService.transition(complaint, status, transitionContext);
+  await uploadService.markAttached(proofUploadIds, complaint);
 
   const populatedComplaint = await Complaint.findById(complaint._id)
     .populate('citizen', 'name email phone')
@@ -437,65 +679,16 @@ const assignComplaintToMitra = asyncHandler(async (req, res, next) => {
   
   // Verify mitra exists and is in the same department
   const mitra = await User.findById(mitraId);
-  if (!mitra || mitra.role !== 'mitra' || !mitra.isActive) {
-    return next(new ErrorResponse('Invalid Mitra selected', 400));
-  }
-  
-  if (mitra.department !== complaint.aiClassification.department) {
-    return next(new ErrorResponse('Mitra must be from the same department', 400));
-  }
-  
-  // Assign mitra
-  complaint.assignedMitra = mitraId;
-  complaint.mitraPhone = mitra.phone;
-  complaint.assignedOfficer = req.user.id;
-  
-  if (complaint.status === 'new') {
-    complaint.status = 'assigned';
+  const assignmentError = checkMitraAssignment(mitra, complaint, req.user);
+  if (assignmentError) {
+    return next(new ErrorResponse(assignmentError, 400));
   }
   
-  // Add timeline entry
-  await complaint.addTimelineEntry(
-    'assigned_mitra',
-    `Complaint assigned to Mitra ${mitra.name}`,
-    req.user.id,
-    remarks
-  );
-  
-  if (remarks) {
-    await complaint.addRemark(remarks, req.user.id);
-  }
+  applyMitraAssignment(complaint, mitra, { user: req.user, remarks });
   
   await complaint.save();
   
-  // Real-time notifications
-  const io = req.app.get('socketio');
-  if (io) {
-    const assignmentData = {
-      complaintId: complaint.complaintId,
-      assignedTo: mitra.name,
-      assignedBy: req.user.name
-    };
-    
-    // Notify assigned mitra
-    io.to(`user_${mitraId}`).emit('complaint_assigned', assignmentData);
-    
-    // Notify citizen
-    io.to(`user_${complaint.citizen}`).emit('complaint_assigned', assignmentData);
-    
-    // Notify department
-    io.to(`dept_${complaint.aiClassification.department}`).emit('complaint_assigned', assignmentData);
-  }
-  
-  // Send SMS to mitra
-  try {
-    await sendSMS(
-      mitra.phone,
-      `New complaint ${complaint.complaintId} assigned to you. Priority: ${complaint.aiClassification.priority}. Location: ${complaint.location.address}. Check i-Mitra portal for details.`
-    );
-  } catch (notificationError) {
-    console.error('Mitra assignment notification failed:', notificationError);
-  }
+  await notifyMitraAssignment(req.app.get('socketio'), complaint, mitra, req.user.name);
 
   const populatedComplaint = await Complaint.findById(complaint._id)
     .populate('citizen', 'name email phone')
@@ -510,10 +703,93 @@ const assignComplaintToMitra = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Add remark to complaint
-// @route   POST /api/complaints/:id/remarks
-// @access  Private (with access control)
-const addRemark = asyncHandler(async (req, res, next) => {
+// @desc    Assign the best available Mitra automatically
+// @route   PUT /api/complaints/:id/auto-assign
+// @access  Private/Officer,Admin
+const autoAssignComplaint = asyncHandler(async (req, res, next) => {
+  const complaint = req.complaint;
+  
+  if (!['new', 'assigned', 'escalated'].includes(complaint.status)) {
+    return next(new ErrorResponse(`Cannot assign a ${complaint.status} complaint`, 400));
+  }
+  
+  const selection = await autoAssignmentService.selectMitra(complaint);
+  if (!selection) {
+    return next(new ErrorResponse('No Mitra of the department is available with spare capacity', 409));
+  }
+  
+  const { mitra, reason } = selection;
+  const assignmentError = checkMitraAssignment(mitra, complaint, req.user);
+  if (assignmentError) {
+    return next(new ErrorResponse(assignmentError, 400));
+  }
+  
+  applyMitraAssignment(complaint, mitra, { user: req.user, reason });
+  
+  await complaint.save();
+  
+  await notifyMitraAssignment(req.app.get('socketio'), complaint, mitra, req.user.name);
+
+  const populatedComplaint = await Complaint.findById(complaint._id)
+    .populate('citizen', 'name email phone')
+    .populate('assignedOfficer', 'name email department')
+    .populate('assignedMitra', 'name email phone employeeId')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint assigned to ${mitra.name}`,
+    reason,
+    data: populatedComplaint
+  });
+});
+
+// @desc    Rank the department's Mitras for a complaint
+// @route   GET /api/complaints/:id/assignment-candidates
+// @access  Private/Officer,Admin
+const getAssignmentCandidates = asyncHandler(async (req, res, next) => {
+  const candidates = await autoAssignmentService.rankMitras(req.complaint);
+
+  res.status(200).json({
+    success: true,
+    count: candidates.length,
+    data: candidates.map(({ mitra, ...ranking }) => ({
+      mitra: { _id: mitra._id, name: mitra.name, phone: mitra.phone, employeeId: mitra.employeeId, zone: mitra.zone },
+      ...ranking
+    }))
+  });
+});
+
+/**
+ * Record a site check-in or check-out: keeps the Mitra's last known
+ * position current and tells the department
+ * @param {Object} req - Express request
+ * @param {Object} complaint - Complaint document (saved)
+ * @param {string} event - 'check_in' or 'check_out'
+ * @param {Object} point - Check-in or check-out point recorded
+ */
+const announceSiteVisit = async (req, complaint, event, point) => {
+  await User.updateOne({ _id: req.user.id }, {
+    lastKnownLocation: { latitude: point.latitude, longitude: point.longitude, updatedAt: point.at }
+  });
+  
+  const io = req.app.get('socketio');
+  if (io) {
+    // Notify department
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_site_visit', {
+      complaintId: complaint.complaintId,
+      event,
+      mitra: req.user.name,
+      distanceMeters: point.distanceMeters,
+      withinRange: point.withinRange
+    });
+  }
+};
+
+// @desc    Check in at the complaint location
+// @route   POST /api/complaints/:id/check-in
+// @access  Private/Mitra
+const checkInAtSite = asyncHandler(async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -523,37 +799,240 @@ const addRemark = asyncHandler(async (req, res, next) => {
     });
   }
 
-  const { text, isPublic = true } = req.body;
+  const complaint = req.complaint;
+  
+  if (!['assigned', 'in_progress', 'on_hold', 'escalated'].includes(complaint.status)) {
+    return next(new ErrorResponse(`Cannot check in on a ${complaint.status} complaint`, 400));
+  }
+  
+  if (siteVisitService.findOpenVisit(complaint, req.user.id)) {
+    return next(new ErrorResponse('Already checked in; check out first', 400));
+  }
+  
+  const visit = siteVisitService.checkIn(complaint, req.user, {
+    latitude: parseFloat(req.body.latitude),
+    longitude: parseFloat(req.body.longitude),
+    accuracy: req.body.accuracy !== undefined ? parseFloat(req.body.accuracy) : null
+  });
+  
+  await complaint.save();
+  
+  await announceSiteVisit(req, complaint, 'check_in', visit.checkIn);
+
+  res.status(201).json({
+    success: true,
+    message: visit.checkIn.withinRange !== false
+      ? 'Checked in'
+      : visit.checkIn.distanceMeters > siteVisitService.radiusMeters
+        ? `Checked in ${visit.checkIn.distanceMeters} m from the complaint location, outside the ${siteVisitService.radiusMeters} m site radius`
+        : `Checked in, but location accuracy of ${Math.round(visit.checkIn.accuracy)} m is coarser than the ${siteVisitService.radiusMeters} m site radius, so the visit is not verified`,
+    data: visit
+  });
+});
+
+// @desc    Check out from the complaint location
+// @route   POST /api/complaints/:id/check-out
+// @access  Private/Mitra
+const checkOutFromSite = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const complaint = req.complaint;
+  const openVisit = siteVisitService.findOpenVisit(complaint, req.user.id);
+  
+  if (!openVisit) {
+    return next(new ErrorResponse('Not checked in on this complaint', 400));
+  }
+  
+  const visit = siteVisitService.checkOut(complaint, openVisit, req.user, {
+    latitude: parseFloat(req.body.latitude),
+    longitude: parseFloat(req.body.longitude),
+    accuracy: req.body.accuracy !== undefined ? parseFloat(req.body.accuracy) : null
+  });
+  
+  await complaint.save();
+  
+  await announceSiteVisit(req, complaint, 'check_out', visit.checkOut);
+
+  res.status(200).json({
+    success: true,
+    message: `Checked out after ${visit.minutesOnSite} min on site`,
+    data: visit
+  });
+});
+
+/**
+ * Add a remark to a complaint and notify whoever may see it. Public updates
+ * reach the citizen (or the department, when the citizen posts); internal
+ * notes stay with the department, the assigned Mitra and admins.
+ * @param {Object} req - Express request (req.complaint set by access control)
+ * @param {string} text - Remark text
+ * @param {boolean} isPublic - Public update rather than internal note
+ * @returns {Promise<Object>} The added remark
+ */
+const recordRemark = async (req, text, isPublic) => {
   const complaint = req.complaint;
   
   await complaint.addRemark(text, req.user.id, isPublic);
+  const remark = complaint.remarks[complaint.remarks.length - 1];
+  
+  const remarkData = {
+    complaintId: complaint.complaintId,
+    remarkId: remark._id,
+    remark: text,
+    isPublic,
+    addedBy: req.user.name,
+    addedAt: remark.addedAt
+  };
   
   // Real-time notification
   const io = req.app.get('socketio');
-  if (io && isPublic) {
-    const remarkData = {
-      complaintId: complaint.complaintId,
-      remark: text,
-      addedBy: req.user.name,
-      addedAt: new Date()
-    };
-    
-    // Notify relevant users based on role
-    if (req.user.role === 'citizen') {
-      io.to(`dept_${complaint.aiClassification.department}`).emit('new_remark', remarkData);
+  if (io) {
+    if (isPublic) {
+      // Notify relevant users based on role
+      if (req.user.role === 'citizen') {
+        io.to(`dept_${complaint.effectiveClassification.department}`).emit('new_remark', remarkData);
+      } else {
+        io.to(`user_${complaint.citizen}`).emit('new_remark', remarkData);
+      }
+      
+      io.to('role_admin').emit('new_remark', remarkData);
     } else {
-      io.to(`user_${complaint.citizen}`).emit('new_remark', remarkData);
+      // Notify staff only; citizens never get internal notes
+      io.to(`dept_${complaint.effectiveClassification.department}`).emit('new_internal_note', remarkData);
+      if (complaint.assignedMitra) {
+        io.to(`user_${complaint.assignedMitra}`).emit('new_internal_note', remarkData);
+      }
+      io.to('role_admin').emit('new_internal_note', remarkData);
     }
-    
-    io.to('role_admin').emit('new_remark', remarkData);
   }
+  
+  // Save public updates to the same users' inboxes
+  if (isPublic) {
+    await notificationService.record({
+      ...(req.user.role === 'citizen'
+        ? { departments: [complaint.effectiveClassification.department] }
+        : { users: [complaint.citizen] }),
+      roles: ['admin'],
+      exclude: req.user.id
+    }, {
+      type: 'new_remark',
+      title: `Update on ${complaint.complaintId}`,
+      message: `${req.user.name}: ${text.slice(0, 200)}`,
+      complaint: complaint._id,
+      data: remarkData
+    });
+  }
+  
+  return remark;
+};
+
+// @desc    Add remark to complaint
+// @route   POST /api/complaints/:id/remarks
+// @access  Private (with access control; internal notes for staff only)
+const addRemark = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { text, isPublic = true } = req.body;
+  
+  if (!isPublic && !Complaint.canSeeInternalRemarks(req.user.role)) {
+    return next(new ErrorResponse('Only staff can add internal notes', 403));
+  }
+  
+  const remark = await recordRemark(req, text, isPublic);
 
   res.status(200).json({
     success: true,
-    message: 'Remark added successfully'
+    message: 'Remark added successfully',
+    data: remark
+  });
+});
+
+// @desc    Add an internal note, visible to staff only
+// @route   POST /api/complaints/:id/notes
+// @access  Private/Officer,Mitra,Admin
+const addInternalNote = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const remark = await recordRemark(req, req.body.text, false);
+
+  res.status(201).json({
+    success: true,
+    message: 'Internal note added successfully',
+    data: remark
+  });
+});
+
+// @desc    Add a public update, visible to the citizen
+// @route   POST /api/complaints/:id/updates
+// @access  Private (with access control)
+const addPublicUpdate = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const remark = await recordRemark(req, req.body.text, true);
+
+  res.status(201).json({
+    success: true,
+    message: 'Update posted successfully',
+    data: remark
   });
 });
 
+/**
+ * Tell the department and admins about citizen feedback over socket and in
+ * their inboxes. Failures are logged, not thrown.
+ * @param {Object} io - Socket.io instance (may be undefined)
+ * @param {Object} complaint - Complaint document
+ * @param {Object} feedbackData - Event payload
+ */
+const notifyFeedback = async (io, complaint, feedbackData) => {
+  if (io) {
+    // Notify department
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit('feedback_received', feedbackData);
+    
+    // Notify admins
+    io.to('role_admin').emit('feedback_received', feedbackData);
+  }
+  
+  await notificationService.record({
+    departments: [complaint.effectiveClassification.department],
+    roles: ['admin']
+  }, {
+    type: 'feedback_received',
+    title: `Feedback on ${feedbackData.reporterComplaintId || complaint.complaintId}`,
+    message: `Rated ${feedbackData.rating}/5 (${feedbackData.satisfied ? 'satisfied' : 'not satisfied'})${feedbackData.comments ? `: ${feedbackData.comments}` : ''}`,
+    complaint: complaint._id,
+    data: feedbackData
+  });
+};
+
 // @desc    Submit citizen feedback
 // @route   POST /api/complaints/:id/feedback
 // @access  Private/Citizen
@@ -574,6 +1053,39 @@ const submitFeedback = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Feedback can only be submitted for resolved complaints', 400));
   }
   
+  // Reporters merged into the complaint give feedback on their own entry;
+  // only the original citizen's feedback closes or escalates it
+  const reporter = complaint.reporters.find(entry => entry.citizen.toString() === req.user.id.toString());
+  if (reporter && complaint.citizen.toString() !== req.user.id.toString()) {
+    if (reporter.feedback.rating) {
+      return next(new ErrorResponse('Feedback has already been submitted for this complaint', 400));
+    }
+    
+    reporter.feedback = {
+      rating,
+      satisfied,
+      comments,
+      submittedAt: new Date()
+    };
+    await complaint.addRemark(`Reporter feedback for ${reporter.complaintId} - Rating: ${rating}/5, Comments: ${comments}`, req.user.id, false);
+    
+    const io = req.app.get('socketio');
+    await notifyFeedback(io, complaint, {
+      complaintId: complaint.complaintId,
+      reporterComplaintId: reporter.complaintId,
+      rating,
+      satisfied,
+      comments,
+      status: complaint.status
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Feedback submitted successfully',
+      data: { status: complaint.status, satisfied }
+    });
+  }
+  
   if (complaint.citizenFeedback.rating) {
     return next(new ErrorResponse('Feedback has already been submitted for this complaint', 400));
   }
@@ -586,50 +1098,55 @@ const submitFeedback = asyncHandler(async (req, res, next) => {
     submittedAt: new Date()
   };
   
+  const feedbackRemarks = `Rating: ${rating}/5, Comments: ${comments}`;
+  
   // If satisfied, close the complaint
   if (satisfied) {
-    complaint.status = 'closed';
-    await complaint.addTimelineEntry(
-      'closed',
-      'Complaint closed after positive citizen feedback',
-      req.user.id,
-      `Rating: ${rating}/5, Comments: ${comments}`
-    );
-  } else {
-    // If not satisfied, reopen for escalation
-    complaint.status = 'escalated';
-    complaint.escalation.level += 1;
-    complaint.escalation.escalatedBy = req.user.id;
-    complaint.escalation.escalatedAt = new Date();
-    complaint.escalation.reason = 'Citizen not satisfied with resolution';
+    const transitionError = complaintWorkflowService.check(complaint, 'closed', { user: req.user, trigger: 'feedback' });
+    if (transitionError) {
+      return next(transitionError);
+    }
     
-    await complaint.addTimelineEntry(
-      'escalated',
-      'Complaint escalated due to citizen dissatisfaction',
-      req.user.id,
-      `Rating: ${rating}/5, Comments: ${comments}`
-    );
+    complaintWorkflowService.apply(complaint, 'closed', {
+      user: req.user,
+      trigger: 'feedback',
+      remarks: feedbackRemarks,
+      description: 'Complaint closed after positive citizen feedback'
+    });
+  } else {
+    // If not satisfied, move up the department's escalation chain
+    try {
+      await escalationService.escalate(complaint, {
+        user: req.user,
+        reason: `Citizen not satisfied with resolution. ${feedbackRemarks}`,
+        io: req.app.get('socketio')
+      });
+    } catch (escalationError) {
+      if (!(escalationError instanceof ErrorResponse)) {
+        throw escalationError;
+      }
+      
+      // Top of the chain reached: keep it with the current owner
+      complaintWorkflowService.apply(complaint, 'escalated', {
+        user: req.user,
+        trigger: 'escalate',
+        remarks: feedbackRemarks,
+        description: 'Complaint escalated due to citizen dissatisfaction'
+      });
+    }
   }
   
   await complaint.save();
   
   // Real-time notification
   const io = req.app.get('socketio');
-  if (io) {
-    const feedbackData = {
-      complaintId: complaint.complaintId,
-      rating,
-      satisfied,
-      comments,
-      status: complaint.status
-    };
-    
-    // Notify department
-    io.to(`dept_${complaint.aiClassification.department}`).emit('feedback_received', feedbackData);
-    
-    // Notify admins
-    io.to('role_admin').emit('feedback_received', feedbackData);
-  }
+  await notifyFeedback(io, complaint, {
+    complaintId: complaint.complaintId,
+    rating,
+    satisfied,
+    comments,
+    status: complaint.status
+  });
 
   res.status(200).json({
     success: true,
@@ -638,6 +1155,881 @@ const submitFeedback = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Escalate complaint to the next level of its department's chain
+// @route   PUT /api/complaints/:id/escalate
+// @access  Private/Officer,Admin
+const escalateComplaint = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { reason } = req.body;
+  const complaint = req.complaint;
+  
+  if (complaint.status === 'resolved' || complaint.status === 'closed') {
+    return next(new ErrorResponse(`Cannot escalate a ${complaint.status} complaint`, 400));
+  }
+  
+  const io = req.app.get('socketio');
+  const { level, owner } = await escalationService.escalate(complaint, {
+    user: req.user,
+    reason,
+    io
+  });
+  
+  // Let the citizen and merged reporters know their complaint is getting priority handling
+  await notificationService.notify(io, complaint.getReporterIds(), 'complaint_status_updated', {
+    complaintId: complaint.complaintId,
+    status: complaint.status,
+    updatedBy: req.user.name,
+    remarks: reason
+  }, {
+    type: 'complaint_status_updated',
+    title: `Complaint ${complaint.complaintId} escalated`,
+    message: 'Your complaint has been escalated for priority handling',
+    complaint: complaint._id
+  });
+
+  const populatedComplaint = await Complaint.findById(complaint._id)
+    .populate('citizen', 'name email phone')
+    .populate('assignedOfficer', 'name email department')
+    .populate('assignedMitra', 'name email phone employeeId')
+    .populate('escalation.currentOwner', 'name email role designation')
+    .populate('escalation.history.owner', 'name role designation')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint escalated to level ${level.level} (${level.title}): ${owner.name}`,
+    data: populatedComplaint
+  });
+});
+
+// @desc    Reopen a resolved or closed complaint
+// @route   PUT /api/complaints/:id/reopen
+// @access  Private/Citizen,Admin
+const reopenComplaint = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { reason } = req.body;
+  const complaint = req.complaint;
+  const io = req.app.get('socketio');
+  
+  if (complaint.status !== 'resolved' && complaint.status !== 'closed') {
+    return next(new ErrorResponse('Only resolved or closed complaints can be reopened', 400));
+  }
+  
+  // Reopen window is counted from the resolution date
+  const windowDays = parseInt(process.env.REOPEN_WINDOW_DAYS, 10) || 7;
+  const resolvedAt = new Date(complaint.resolution.resolvedAt || complaint.updatedAt);
+  const windowEndsAt = new Date(resolvedAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+  
+  if (new Date() > windowEndsAt) {
+    return next(new ErrorResponse(`Complaints can only be reopened within ${windowDays} days of resolution`, 400));
+  }
+  
+  // Past the reopen limit the complaint goes up the escalation chain instead;
+  // a limit of 0 escalates on the first reopen. At the top of the chain
+  // there is no one left to escalate to, so it is reopened as usual.
+  const configuredMaxReopens = parseInt(process.env.MAX_REOPEN_COUNT, 10);
+  const maxReopens = Number.isNaN(configuredMaxReopens) ? 2 : configuredMaxReopens;
+  const limitReached = complaint.reopen.count >= maxReopens;
+  const escalation = limitReached ? await escalationService.findNextLevel(complaint) : null;
+  
+  // Send it back to whoever was handling it
+  const reopenStatus = complaint.assignedMitra ? 'assigned' : 'new';
+  if (!escalation) {
+    const transitionError = complaintWorkflowService.check(complaint, reopenStatus, {
+      user: req.user,
+      trigger: 'reopen',
+      remarks: reason
+    });
+    if (transitionError) {
+      return next(transitionError);
+    }
+  }
+  
+  const now = new Date();
+  
+  complaint.recordReopen({ reason, userId: req.user.id }, now);
+  
+  // Fresh SLA from the moment of reopening
+  const slaDeadline = await complaint.recomputeSLA(now);
+  
+  const reopenDescription = `Complaint reopened (reopen ${complaint.reopen.count} of ${maxReopens}). New SLA deadline: ${slaDeadline.toLocaleString()}`;
+  
+  if (escalation) {
+    complaint.timeline.push({
+      action: 'reopened',
+      description: `${reopenDescription}. Reopen limit reached`,
+      performedBy: req.user.id,
+      remarks: reason,
+      performedAt: now
+    });
+    
+    // Saves the complaint with the reopen
+    const { level, owner } = await escalationService.escalate(complaint, {
+      user: req.user,
+      reason: `Reopen limit (${maxReopens}) reached. ${reason}`,
+      io
+    });
+    
+    return res.status(200).json({
+      success: true,
+      message: `Reopen limit reached. Complaint escalated to ${level.title} (${owner.name})`,
+      data: { status: complaint.status, escalationLevel: level.level, reopenCount: complaint.reopen.count }
+    });
+  }
+  
+  complaintWorkflowService.apply(complaint, reopenStatus, {
+    user: req.user,
+    trigger: 'reopen',
+    remarks: reason,
+    description: limitReached
+      ? `${reopenDescription}. Reopen limit reached with no higher escalation level, so it goes back to its handler`
+      : reopenDescription
+  });
+  
+  await complaint.save();
+  
+  // Real-time notifications
+  if (io) {
+    const reopenData = {
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      reason,
+      reopenCount: complaint.reopen.count,
+      limitReached,
+      reopenedBy: req.user.name
+    };
+    
+    // Notify department
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_reopened', reopenData);
+    
+    // Notify assigned mitra
+    if (complaint.assignedMitra) {
+      io.to(`user_${complaint.assignedMitra}`).emit('complaint_reopened', reopenData);
+    }
+    
+    // Notify admins
+    io.to('role_admin').emit('complaint_reopened', reopenData);
+  }
+  
+  // Send SMS to mitra
+  if (complaint.mitraPhone) {
+    try {
+      await sendSMS(
+        complaint.mitraPhone,
+        `Complaint ${complaint.complaintId} has been reopened by the citizen. Reason: ${reason}. New deadline: ${slaDeadline.toLocaleString()}.`
+      );
+    } catch (notificationError) {
+      console.error('Reopen notification failed:', notificationError);
+    }
+  }
+
+  const populatedComplaint = await Complaint.findById(complaint._id)
+    .populate('citizen', 'name email phone')
+    .populate('assignedOfficer', 'name email department')
+    .populate('assignedMitra', 'name email phone employeeId')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: limitReached
+      ? 'Reopen limit reached and no higher escalation level is available, so the complaint was reopened'
+      : 'Complaint reopened successfully',
+    data: populatedComplaint.toJSONFor(req.user)
+  });
+});
+
+// @desc    Transfer a misclassified complaint to another department
+// @route   PUT /api/complaints/:id/transfer
+// @access  Private/Officer,Admin
+const transferComplaint = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { department, category, reason } = req.body;
+  const complaint = req.complaint;
+  const io = req.app.get('socketio');
+  
+  const fromDepartment = complaint.effectiveClassification.department;
+  const fromCategory = complaint.effectiveClassification.category;
+  const toCategory = category || fromCategory;
+  
+  if (department === fromDepartment) {
+    return next(new ErrorResponse(`Complaint is already with ${department}`, 400));
+  }
+  
+  const transitionContext = {
+    user: req.user,
+    trigger: 'transfer',
+    remarks: reason,
+    description: `Complaint transferred from ${fromDepartment} to ${department}`
+  };
+  
+  const transitionError = complaintWorkflowService.check(complaint, 'new', transitionContext);
+  if (transitionError) {
+    return next(transitionError);
+  }
+  
+  // Keep the correction as labeled feedback for the classifier
+  try {
+    await aiClassificationService.recordFeedback(complaint, { department, category: toCategory }, {
+      type: 'department_transfer',
+      reason,
+      correctedBy: req.user.id
+    });
+  } catch (feedbackError) {
+    console.error('Classification feedback could not be saved:', feedbackError);
+  }
+  
+  const now = new Date();
+  const previousStatus = complaint.status;
+  const previousMitra = complaint.assignedMitra;
+  const previousMitraPhone = complaint.mitraPhone;
+  const previousDeadline = complaint.sla.deadline;
+  
+  complaintWorkflowService.apply(complaint, 'new', transitionContext);
+  
+  // The AI classification is kept as predicted; the transfer is an override
+  complaint.overrideClassification({ category: toCategory, department, justification: reason, userId: req.user.id }, now);
+  
+  // The new department assigns and escalates through its own chain
+  complaint.assignedMitra = null;
+  complaint.mitraPhone = null;
+  complaint.assignedOfficer = null;
+  complaint.escalation.level = 0;
+  complaint.escalation.levelTitle = '';
+  complaint.escalation.currentOwner = null;
+  
+  const slaMode = TRANSFER_SLA_MODES.includes(process.env.TRANSFER_SLA_MODE)
+    ? process.env.TRANSFER_SLA_MODE
+    : 'restart';
+  
+  if (slaMode !== 'keep') {
+    await complaint.recomputeSLA(slaMode === 'original' ? complaint.createdAt : now);
+  }
+  
+  complaint.transfers.push({
+    fromDepartment,
+    toDepartment: department,
+    fromCategory,
+    toCategory,
+    reason,
+    transferredBy: req.user.id,
+    transferredAt: now,
+    previousStatus,
+    previousMitra,
+    slaMode,
+    previousDeadline,
+    newDeadline: complaint.sla.deadline
+  });
+  
+  await complaint.save();
+  
+  // Real-time notifications
+  if (io) {
+    const transferData = {
+      complaintId: complaint.complaintId,
+      fromDepartment,
+      toDepartment: department,
+      reason,
+      transferredBy: req.user.name,
+      slaDeadline: complaint.sla.deadline
+    };
+    
+    // Notify both departments
+    io.to(`dept_${fromDepartment}`).emit('complaint_transferred', transferData);
+    io.to(`dept_${department}`).emit('complaint_transferred', transferData);
+    
+    // Notify citizen
+    io.to(`user_${complaint.citizen}`).emit('complaint_transferred', transferData);
+    
+    // Notify previously assigned mitra
+    if (previousMitra) {
+      io.to(`user_${previousMitra}`).emit('complaint_transferred', transferData);
+    }
+    
+    // Notify admins
+    io.to('role_admin').emit('complaint_transferred', transferData);
+  }
+  
+  // Let the previous mitra know the complaint is no longer theirs
+  if (previousMitraPhone) {
+    try {
+      await sendSMS(
+        previousMitraPhone,
+        `Complaint ${complaint.complaintId} has been transferred to ${department} and is no longer assigned to you.`
+      );
+    } catch (notificationError) {
+      console.error('Transfer notification failed:', notificationError);
+    }
+  }
+
+  const populatedComplaint = await Complaint.findById(complaint._id)
+    .populate('citizen', 'name email phone')
+    .populate('transfers.transferredBy', 'name role department')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: `Complaint transferred to ${department}`,
+    data: populatedComplaint
+  });
+});
+
+// @desc    Override the AI category and/or priority of a complaint
+// @route   PUT /api/complaints/:id/classification
+// @access  Private/Officer,Admin
+const overrideClassification = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { category, priority, justification } = req.body;
+  const complaint = req.complaint;
+  
+  // Officers may only correct complaints of their own department
+  if (req.user.role === 'officer' && complaint.effectiveClassification.department !== req.user.department) {
+    return next(new ErrorResponse('Officers can only reclassify complaints in their own department', 403));
+  }
+  
+  const previous = complaint.effectiveClassification;
+  const categoryChanged = category && category !== previous.category;
+  const priorityChanged = priority && priority !== previous.priority;
+  
+  if (!categoryChanged && !priorityChanged) {
+    return next(new ErrorResponse('The new classification matches the current one', 400));
+  }
+  
+  const entry = complaint.overrideClassification({
+    category,
+    priority,
+    justification,
+    userId: req.user.id
+  });
+  
+  // SLA follows the new classification, counted from when the complaint was filed
+  if (!['resolved', 'closed', 'rejected', 'merged'].includes(complaint.status)) {
+    await complaint.recomputeSLA(complaint.createdAt);
+  }
+  
+  const changes = [];
+  if (categoryChanged) {
+    changes.push(`category ${entry.previousCategory} → ${entry.category}`);
+  }
+  if (priorityChanged) {
+    changes.push(`priority ${entry.previousPriority} → ${entry.priority}`);
+  }
+  
+  complaint.timeline.push({
+    action: 'reclassified',
+    description: `Classification corrected: ${changes.join(', ')}`,
+    performedBy: req.user.id,
+    remarks: justification,
+    performedAt: entry.overriddenAt
+  });
+  
+  await complaint.save();
+  
+  // Keep the correction as labeled feedback for the classifier
+  try {
+    await aiClassificationService.recordFeedback(complaint, { category: entry.category, priority: entry.priority }, {
+      type: 'manual_override',
+      reason: justification,
+      correctedBy: req.user.id
+    });
+  } catch (feedbackError) {
+    console.error('Classification feedback could not be saved:', feedbackError);
+  }
+  
+  // Real-time notifications
+  const io = req.app.get('socketio');
+  if (io) {
+    const reclassifyData = {
+      complaintId: complaint.complaintId,
+      category: entry.category,
+      priority: entry.priority,
+      previousCategory: entry.previousCategory,
+      previousPriority: entry.previousPriority,
+      slaDeadline: complaint.sla.deadline,
+      updatedBy: req.user.name
+    };
+    
+    // Notify department
+    io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_reclassified', reclassifyData);
+    
+    // Notify assigned mitra
+    if (complaint.assignedMitra) {
+      io.to(`user_${complaint.assignedMitra}`).emit('complaint_reclassified', reclassifyData);
+    }
+    
+    // Notify admins
+    io.to('role_admin').emit('complaint_reclassified', reclassifyData);
+  }
+
+  const populatedComplaint = await Complaint.findById(complaint._id)
+    .populate('manualClassification.history.overriddenBy', 'name role department')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: 'Complaint classification updated',
+    data: populatedComplaint
+  });
+});
+
+// @desc    Merge duplicate complaints into this complaint
+// @route   PUT /api/complaints/:id/merge
+// @access  Private/Officer,Admin
+const mergeComplaints = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { duplicateIds, remarks = '' } = req.body;
+  const parent = req.complaint;
+  
+  // Officers may only merge complaints of their own department
+  if (req.user.role === 'officer' && parent.effectiveClassification.department !== req.user.department) {
+    return next(new ErrorResponse('Officers can only merge complaints in their own department', 403));
+  }
+  
+  if (['resolved', 'closed', 'rejected', 'merged'].includes(parent.status)) {
+    return next(new ErrorResponse(`Cannot merge into a ${parent.status} complaint`, 400));
+  }
+  
+  const uniqueIds = [...new Set(duplicateIds)];
+  if (uniqueIds.includes(parent._id.toString())) {
+    return next(new ErrorResponse('A complaint cannot be merged into itself', 400));
+  }
+  
+  const duplicates = await Complaint.find({ _id: { $in: uniqueIds }, isActive: true });
+  if (duplicates.length !== uniqueIds.length) {
+    return next(new ErrorResponse('One or more complaints to merge were not found', 404));
+  }
+  
+  // All duplicates must be mergeable before any of them is changed
+  const transitionContext = { user: req.user, trigger: 'merge', remarks };
+  for (const duplicate of duplicates) {
+    if (duplicate.effectiveClassification.department !== parent.effectiveClassification.department) {
+      return next(new ErrorResponse(`Complaint ${duplicate.complaintId} belongs to another department`, 400));
+    }
+    
+    const transitionError = complaintWorkflowService.check(duplicate, 'merged', transitionContext);
+    if (transitionError) {
+      return next(new ErrorResponse(`Complaint ${duplicate.complaintId}: ${transitionError.message}`, transitionError.statusCode));
+    }
+  }
+  
+  const now = new Date();
+  const merged = duplicates.map(duplicate => {
+    const previousMitra = duplicate.assignedMitra;
+    const addedReporters = parent.absorbDuplicate(duplicate, { userId: req.user.id }, now);
+    
+    complaintWorkflowService.apply(duplicate, 'merged', {
+      ...transitionContext,
+      description: `Merged into complaint ${parent.complaintId}`
+    });
+    
+    return { duplicate, previousMitra, addedReporters };
+  });
+  
+  parent.timeline.push({
+    action: 'duplicate_merged',
+    description: `Merged duplicate complaint(s) ${duplicates.map(duplicate => duplicate.complaintId).join(', ')}`,
+    performedBy: req.user.id,
+    remarks,
+    performedAt: now
+  });
+  
+  await Complaint.bulkSave([parent, ...duplicates]);
+  
+  // Real-time notifications
+  const io = req.app.get('socketio');
+  if (io) {
+    merged.forEach(({ duplicate, previousMitra, addedReporters }) => {
+      const mergeData = {
+        complaintId: duplicate.complaintId,
+        mergedInto: parent.complaintId,
+        status: duplicate.status,
+        mergedBy: req.user.name,
+        remarks
+      };
+      
+      // Notify reporters now following the parent
+      addedReporters.forEach(reporter => io.to(`user_${reporter.citizen}`).emit('complaint_merged', mergeData));
+      
+      // Notify the Mitra no longer needed on the duplicate
+      if (previousMitra) {
+        io.to(`user_${previousMitra}`).emit('complaint_merged', mergeData);
+      }
+    });
+    
+    const mergeSummary = {
+      complaintId: parent.complaintId,
+      merged: duplicates.map(duplicate => duplicate.complaintId),
+      reporterCount: parent.getReporterIds().length,
+      mergedBy: req.user.name
+    };
+    
+    // Notify department
+    io.to(`dept_${parent.effectiveClassification.department}`).emit('complaints_merged', mergeSummary);
+    
+    // Notify admins
+    io.to('role_admin').emit('complaints_merged', mergeSummary);
+  }
+  
+  // One SMS per reporter pointing them at the parent complaint
+  const recipients = merged.flatMap(({ duplicate, addedReporters }) =>
+    addedReporters.map(reporter => ({ citizenId: reporter.citizen.toString(), complaintId: reporter.complaintId || duplicate.complaintId }))
+  );
+  const citizens = await User.find({ _id: { $in: recipients.map(({ citizenId }) => citizenId) } }).select('phone');
+  const citizenPhones = new Map(citizens.map(citizen => [citizen._id.toString(), citizen.phone]));
+  
+  await sendBatchSMS(
+    groupBy(recipients, ({ citizenId }) => citizenPhones.get(citizenId)),
+    (items) => `Complaint ${items.map(({ complaintId }) => complaintId).join(', ')} update: ${complaintWorkflowService.getSMSMessage('merged')} Track it as ${parent.complaintId}.`
+  );
+
+  const populatedComplaint = await Complaint.findById(parent._id)
+    .populate('citizen', 'name email phone')
+    .populate('reporters.citizen', 'name phone')
+    .populate('timeline.performedBy', 'name role');
+
+  res.status(200).json({
+    success: true,
+    message: `${duplicates.length} complaint(s) merged into ${parent.complaintId}`,
+    data: populatedComplaint
+  });
+});
+
+// @desc    Assign many complaints to Mitra in one request
+// @route   POST /api/complaints/bulk/assign
+// @access  Private/Admin
+const bulkAssign = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { assignments, remarks = '' } = req.body;
+  
+  const complaintIds = assignments.map(assignment => assignment.complaintId);
+  const mitraIds = [...new Set(assignments.map(assignment => assignment.mitraId))];
+  
+  const [complaints, mitras] = await Promise.all([
+    Complaint.find({ _id: { $in: complaintIds }, isActive: true }),
+    User.find({ _id: { $in: mitraIds } })
+  ]);
+  
+  const complaintsById = new Map(complaints.map(complaint => [complaint._id.toString(), complaint]));
+  const mitrasById = new Map(mitras.map(mitra => [mitra._id.toString(), mitra]));
+  
+  const results = [];
+  const updated = [];
+  const seen = new Set();
+  
+  for (const { complaintId, mitraId } of assignments) {
+    if (seen.has(complaintId)) {
+      results.push({ id: complaintId, success: false, message: 'Complaint listed more than once' });
+      continue;
+    }
+    seen.add(complaintId);
+    
+    const complaint = complaintsById.get(complaintId);
+    if (!complaint) {
+      results.push({ id: complaintId, success: false, message: 'Complaint not found' });
+      continue;
+    }
+    
+    const mitra = mitrasById.get(mitraId);
+    const assignmentError = checkMitraAssignment(mitra, complaint, req.user);
+    if (assignmentError) {
+      results.push({ id: complaintId, complaintId: complaint.complaintId, success: false, message: assignmentError });
+      continue;
+    }
+    
+    applyMitraAssignment(complaint, mitra, { user: req.user, remarks });
+    
+    try {
+      await complaint.validate();
+    } catch (validationError) {
+      results.push({ id: complaintId, complaintId: complaint.complaintId, success: false, message: validationError.message });
+      continue;
+    }
+    
+    updated.push({ complaint, mitra });
+    results.push({ id: complaintId, complaintId: complaint.complaintId, success: true, assignedTo: mitra.name });
+  }
+  
+  if (updated.length > 0) {
+    await Complaint.bulkSave(updated.map(({ complaint }) => complaint));
+  }
+  
+  const notices = updated.map(({ complaint, mitra }) => ({
+    complaint,
+    mitra,
+    data: {
+      complaintId: complaint.complaintId,
+      assignedTo: mitra.name,
+      assignedBy: req.user.name
+    }
+  }));
+  
+  // Batched real-time notifications
+  const io = req.app.get('socketio');
+  if (io && notices.length > 0) {
+    emitBulkUpdates(io, 'bulk_complaint_assigned', notices.map(({ complaint, mitra, data }) => ({
+      rooms: [
+        `user_${mitra._id}`,
+        `user_${complaint.citizen}`,
+        `dept_${complaint.effectiveClassification.department}`
+      ],
+      data
+    })));
+  }
+  
+  // Save to the same users' inboxes, one entry per complaint
+  for (const { complaint, mitra, data } of notices) {
+    await notificationService.record({
+      users: [mitra._id, complaint.citizen],
+      departments: [complaint.effectiveClassification.department]
+    }, {
+      type: 'complaint_assigned',
+      title: `Complaint ${complaint.complaintId} assigned`,
+      message: `Assigned to ${mitra.name} by ${req.user.name}`,
+      complaint: complaint._id,
+      data
+    });
+  }
+  
+  // One SMS per Mitra listing all of their new complaints
+  const smsResults = await sendBatchSMS(
+    groupBy(updated, ({ mitra }) => mitra.phone),
+    (items) => `${items.length} new complaint(s) assigned to you: ${items.map(({ complaint }) => complaint.complaintId).join(', ')}. Check i-Mitra portal for details.`
+  );
+  
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${succeeded} of ${results.length} complaints assigned`,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      smsSent: smsResults.filter(result => result.success).length
+    },
+    results
+  });
+});
+
+// @desc    Update the status of many complaints in one request
+// @route   POST /api/complaints/bulk/status
+// @access  Private/Admin
+const bulkStatusUpdate = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { complaintIds, status, remarks } = req.body;
+  const uniqueIds = [...new Set(complaintIds)];
+  
+  const complaints = await Complaint.find({ _id: { $in: uniqueIds }, isActive: true });
+  const complaintsById = new Map(complaints.map(complaint => [complaint._id.toString(), complaint]));
+  
+  const results = [];
+  const updated = [];
+  
+  for (const id of uniqueIds) {
+    const complaint = complaintsById.get(id);
+    if (!complaint) {
+      results.push({ id, success: false, message: 'Complaint not found' });
+      continue;
+    }
+    
+    const transitionContext = { user: req.user, remarks };
+    const transitionError = complaintWorkflowService.check(complaint, status, transitionContext);
+    if (transitionError) {
+      results.push({ id, complaintId: complaint.complaintId, success: false, message: transitionError.message });
+      continue;
+    }
+    
+    complaintWorkflowService.apply(complaint, status, transitionContext);
+    
+    try {
+      await complaint.validate();
+    } catch (validationError) {
+      results.push({ id, complaintId: complaint.complaintId, success: false, message: validationError.message });
+      continue;
+    }
+    
+    updated.push(complaint);
+    results.push({ id, complaintId: complaint.complaintId, success: true, status });
+  }
+  
+  if (updated.length > 0) {
+    await Complaint.bulkSave(updated);
+  }
+  
+  const notices = updated.map(complaint => ({
+    complaint,
+    data: {
+      complaintId: complaint.complaintId,
+      status,
+      updatedBy: req.user.name,
+      remarks
+    }
+  }));
+  
+  // Batched real-time notifications
+  const io = req.app.get('socketio');
+  if (io && notices.length > 0) {
+    emitBulkUpdates(io, 'bulk_complaint_status_updated', notices.map(({ complaint, data }) => ({
+      rooms: [
+        ...complaint.getReporterIds().map(id => `user_${id}`),
+        `dept_${complaint.effectiveClassification.department}`,
+        'role_admin'
+      ],
+      data
+    })));
+  }
+  
+  // Save to the same users' inboxes, one entry per complaint
+  for (const { complaint, data } of notices) {
+    await notificationService.record({
+      users: complaint.getReporterIds(),
+      departments: [complaint.effectiveClassification.department],
+      roles: ['admin'],
+      exclude: req.user.id
+    }, {
+      type: 'complaint_status_updated',
+      title: `Complaint ${complaint.complaintId} updated`,
+      message: `Status changed to ${status} by ${req.user.name}${remarks ? `: ${remarks}` : ''}`,
+      complaint: complaint._id,
+      data
+    });
+  }
+  
+  // One SMS per citizen covering all of their updated complaints,
+  // including reporters merged into them
+  const recipients = updated.flatMap(complaint =>
+    complaint.getReporterIds().map(citizenId => ({ citizenId, complaint }))
+  );
+  const citizens = await User.find({ _id: { $in: recipients.map(({ citizenId }) => citizenId) } }).select('phone');
+  const citizenPhones = new Map(citizens.map(citizen => [citizen._id.toString(), citizen.phone]));
+  
+  const smsResults = await sendBatchSMS(
+    groupBy(recipients, ({ citizenId }) => citizenPhones.get(citizenId)),
+    (items) => `Complaint ${items.map(({ complaint }) => complaint.complaintId).join(', ')} update: ${complaintWorkflowService.getSMSMessage(status)} ${remarks ? 'Remarks: ' + remarks : ''}`
+  );
+  
+  const succeeded = results.filter(result => result.success).length;
+
+  res.status(200).json({
+    success: true,
+    message: `${succeeded} of ${results.length} complaints updated`,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      smsSent: smsResults.filter(result => result.success).length
+    },
+    results
+  });
+});
+
+// @desc    Export complaints as CSV, XLSX or PDF
+// @route   GET /api/complaints/export/:format
+// @access  Private/Officer,Admin
+const exportComplaints = asyncHandler(async (req, res, next) => {
+  const format = req.params.format.toLowerCase();
+  
+  if (!complaintExportService.isSupported(format)) {
+    return next(new ErrorResponse('Export format must be csv, xlsx or pdf', 400));
+  }
+  
+  // Same filters as the complaint list
+  const query = buildComplaintQuery(req.user, req.query);
+  if (!query) {
+    return next(new ErrorResponse('Invalid user role', 403));
+  }
+  
+  const citizenFields = req.user.role === 'admin' ? 'name email phone' : 'name phone';
+  
+  // Stream from a cursor so large exports never load fully into memory
+  const cursor = Complaint.find(query)
+    .sort({ createdAt: -1 })
+    .populate('citizen', citizenFields)
+    .populate('assignedMitra', 'name employeeId')
+    .lean()
+    .cursor({ batchSize: 500 });
+  
+  // Stop reading from Mongo if the client goes away
+  res.on('close', () => cursor.close().catch(() => {}));
+  
+  const filters = ['status', 'priority', 'department', 'zone', 'slaStatus', 'startDate', 'endDate', 'search']
+    .filter(key => req.query[key])
+    .map(key => `${key}=${req.query[key]}`)
+    .join(', ');
+  
+  try {
+    const count = await complaintExportService.stream(cursor, res, {
+      format,
+      role: req.user.role,
+      meta: { generatedBy: req.user.name, filters }
+    });
+    console.log(`📤 Exported ${count} complaints as ${format} for ${req.user.email}`);
+  } catch (error) {
+    console.error('Complaint export error:', error);
+    
+    // Headers are already sent once streaming starts
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(new ErrorResponse('Failed to export complaints', 500));
+  }
+});
+
 // @desc    Get public statistics
 // @route   GET /api/complaints/public/stats
 // @access  Public
@@ -656,7 +2048,7 @@ const getPublicStats = asyncHandler(async (req, res, next) => {
           },
           avgRating: { $avg: '$citizenFeedback.rating' },
           byDepartment: {
-            $push: '$aiClassification.department'
+            $push: { $ifNull: ['$manualClassification.department', '$aiClassification.department'] }
           },
           byZone: {
             $push: '$location.zone'
@@ -694,13 +2086,8 @@ const getPublicStats = asyncHandler(async (req, res, next) => {
 });
 
 // Additional controller methods would be implemented here for:
-// - escalateComplaint
-// - reopenComplaint
 // - getDepartmentComplaints
 // - deleteComplaint
-// - bulkAssign
-// - bulkStatusUpdate
-// - exportComplaints
 
 // Export all functions
 module.exports = {
@@ -709,8 +2096,22 @@ module.exports = {
   getComplaint,
   updateComplaintStatus,
   assignComplaintToMitra,
+  autoAssignComplaint,
+  getAssignmentCandidates,
+  checkInAtSite,
+  checkOutFromSite,
   addRemark,
+  addInternalNote,
+  addPublicUpdate,
   submitFeedback,
+  escalateComplaint,
+  reopenComplaint,
+  transferComplaint,
+  overrideClassification,
+  mergeComplaints,
+  bulkAssign,
+  bulkStatusUpdate,
+  exportComplaints,
   getPublicStats
   // Additional methods would be added here
 };
\ No newline at end of file
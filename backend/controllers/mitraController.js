@@ -0,0 +1,342 @@
+const { validationResult } = require('express-validator');
+const moment = require('moment');
+const User = require('../models/User');
+const Complaint = require('../models/Complaint');
+const { getSLACalendar } = require('../config/slaCalendars');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+// Statuses in which a complaint still needs its Mitra
+const OPEN_STATUSES = ['new', 'assigned', 'in_progress', 'on_hold', 'escalated'];
+
+/**
+ * Load a Mitra the user may manage: officers their own department's
+ * Mitras, Mitras only themselves
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Mitra user document
+ */
+const findManagedMitra = async (req) => {
+  const mitra = await User.findOne({ _id: req.params.id, role: 'mitra' });
+
+  if (!mitra) {
+    throw new ErrorResponse('Mitra not found', 404);
+  }
+
+  if (req.user.role === 'officer' && mitra.department !== req.user.department) {
+    throw new ErrorResponse('Officers can only manage Mitras of their own department', 403);
+  }
+
+  if (req.user.role === 'mitra' && mitra._id.toString() !== req.user.id.toString()) {
+    throw new ErrorResponse('Not authorized to manage another Mitra', 403);
+  }
+
+  return mitra;
+};
+
+/**
+ * Get a Mitra's open complaints
+ * @param {Object} mitraId - Mitra user ID
+ * @returns {Promise<Array>} Complaints
+ */
+const getOpenComplaints = (mitraId) => {
+  return Complaint.find({ assignedMitra: mitraId, status: { $in: OPEN_STATUSES }, isActive: true })
+    .select('complaintId title status aiClassification.priority manualClassification.priority sla.deadline location.address')
+    .sort({ 'sla.deadline': 1 });
+};
+
+/**
+ * Read a leave date. Bare dates (YYYY-MM-DD) cover the whole local day.
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {boolean} endOfDay - Use the end of a bare date instead of its start
+ * @param {number} utcOffsetMinutes - Local offset
+ * @returns {Date} Date
+ */
+const parseLeaveDate = (value, endOfDay, utcOffsetMinutes) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const day = moment.utc(value).utcOffset(utcOffsetMinutes, true);
+    return (endOfDay ? day.endOf('day') : day.startOf('day')).toDate();
+  }
+  return new Date(value);
+};
+
+// @desc    Get the Mitras of a department with their availability
+// @route   GET /api/mitras, GET /api/auth/department/:dept/mitra (available only unless available=false)
+// @access  Private/Officer,Admin
+const getDepartmentMitra = asyncHandler(async (req, res, next) => {
+  const department = req.params.dept || (req.user.role === 'officer' ? req.user.department : req.query.department);
+  // The older department route lists only Mitras who can take work
+  const availableOnly = (req.query.available ?? (req.params.dept ? 'true' : 'false')) === 'true';
+  const query = { role: 'mitra', isActive: true };
+
+  if (department) {
+    query.department = department;
+  }
+
+  const mitras = await User.find(query)
+    .select('name email phone employeeId department zone roster leaves duty isActive');
+
+  const openCounts = await Complaint.aggregate([
+    { $match: { assignedMitra: { $in: mitras.map(mitra => mitra._id) }, status: { $in: OPEN_STATUSES }, isActive: true } },
+    { $group: { _id: '$assignedMitra', count: { $sum: 1 } } }
+  ]);
+  const openCountById = new Map(openCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+  const now = new Date();
+  let data = mitras.map(mitra => ({
+    _id: mitra._id,
+    name: mitra.name,
+    email: mitra.email,
+    phone: mitra.phone,
+    employeeId: mitra.employeeId,
+    department: mitra.department,
+    zone: mitra.zone,
+    roster: mitra.roster,
+    duty: mitra.duty,
+    availability: mitra.getAvailability(now),
+    openComplaints: openCountById.get(mitra._id.toString()) || 0
+  }));
+
+  // Only Mitras who can take work right now
+  if (availableOnly) {
+    data = data.filter(mitra => mitra.availability.available);
+  }
+
+  // Available first, then by current load
+  data.sort((a, b) =>
+    (b.availability.available - a.availability.available) ||
+    (b.availability.assignable - a.availability.assignable) ||
+    (a.openComplaints - b.openComplaints)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Get open complaints held by Mitras who are on leave or off duty
+// @route   GET /api/mitras/reassignment
+// @access  Private/Officer,Admin
+const getReassignmentQueue = asyncHandler(async (req, res, next) => {
+  const department = req.user.role === 'officer' ? req.user.department : req.query.department;
+  const query = { role: 'mitra' };
+
+  if (department) {
+    query.department = department;
+  }
+
+  const now = new Date();
+  const mitras = await User.find(query).select('name phone employeeId department leaves duty roster isActive');
+  const unavailable = mitras
+    .map(mitra => ({ mitra, availability: mitra.getAvailability(now) }))
+    .filter(({ availability }) => !availability.assignable);
+
+  const complaints = await Complaint.find({
+    assignedMitra: { $in: unavailable.map(({ mitra }) => mitra._id) },
+    status: { $in: OPEN_STATUSES },
+    isActive: true
+  })
+    .select('complaintId title status assignedMitra aiClassification manualClassification sla.deadline location.address')
+    .sort({ 'sla.deadline': 1 });
+
+  const reasonById = new Map(unavailable.map(({ mitra, availability }) => [mitra._id.toString(), availability.reason]));
+  const mitraById = new Map(unavailable.map(({ mitra }) => [mitra._id.toString(), mitra]));
+
+  res.status(200).json({
+    success: true,
+    count: complaints.length,
+    data: complaints.map(complaint => {
+      const mitra = mitraById.get(complaint.assignedMitra.toString());
+      return {
+        complaint,
+        mitra: { _id: mitra._id, name: mitra.name, phone: mitra.phone, employeeId: mitra.employeeId },
+        reason: reasonById.get(mitra._id.toString())
+      };
+    })
+  });
+});
+
+// @desc    Get a Mitra's roster, leaves, duty status and open complaints
+// @route   GET /api/mitras/:id
+// @access  Private/Officer,Admin,Mitra (self)
+const getMitraSchedule = asyncHandler(async (req, res, next) => {
+  const mitra = await findManagedMitra(req);
+  const openComplaints = await getOpenComplaints(mitra._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: mitra._id,
+      name: mitra.name,
+      employeeId: mitra.employeeId,
+      department: mitra.department,
+      roster: mitra.roster,
+      leaves: mitra.leaves,
+      duty: mitra.duty,
+      availability: mitra.getAvailability(),
+      openComplaints
+    }
+  });
+});
+
+// @desc    Replace a Mitra's weekly roster
+// @route   PUT /api/mitras/:id/roster
+// @access  Private/Officer,Admin
+const updateRoster = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const mitra = await findManagedMitra(req);
+
+  mitra.roster = req.body.roster.map(({ day, start, end }) => ({ day, start, end }));
+  await mitra.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Roster updated',
+    data: { roster: mitra.roster, availability: mitra.getAvailability() }
+  });
+});
+
+// @desc    Record a leave for a Mitra
+// @route   POST /api/mitras/:id/leaves
+// @access  Private/Officer,Admin
+const addLeave = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { type = 'casual', reason = '' } = req.body;
+  const mitra = await findManagedMitra(req);
+  const { utcOffsetMinutes } = getSLACalendar(mitra.department);
+
+  const startDate = parseLeaveDate(req.body.startDate, false, utcOffsetMinutes);
+  const endDate = parseLeaveDate(req.body.endDate, true, utcOffsetMinutes);
+
+  if (endDate < startDate) {
+    return next(new ErrorResponse('Leave cannot end before it starts', 400));
+  }
+
+  const overlapping = mitra.leaves.find(leave =>
+    !leave.cancelledAt && leave.startDate <= endDate && startDate <= leave.endDate
+  );
+  if (overlapping) {
+    return next(new ErrorResponse('Leave overlaps an existing leave', 400));
+  }
+
+  mitra.leaves.push({
+    type,
+    startDate,
+    endDate,
+    reason,
+    recordedBy: req.user.id,
+    recordedAt: new Date()
+  });
+  await mitra.save({ validateModifiedOnly: true });
+
+  const leave = mitra.leaves[mitra.leaves.length - 1];
+
+  // Open work has to move to someone else before the leave starts
+  const complaintsToReassign = await getOpenComplaints(mitra._id);
+
+  const io = req.app.get('socketio');
+  if (io && complaintsToReassign.length > 0) {
+    // Notify department
+    io.to(`dept_${mitra.department}`).emit('mitra_leave_reassignment', {
+      mitra: mitra.name,
+      startDate,
+      endDate,
+      complaints: complaintsToReassign.map(complaint => complaint.complaintId)
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: complaintsToReassign.length > 0
+      ? `Leave recorded. ${complaintsToReassign.length} open complaint(s) need reassignment`
+      : 'Leave recorded',
+    data: { leave, complaintsToReassign }
+  });
+});
+
+// @desc    Cancel a Mitra's leave
+// @route   DELETE /api/mitras/:id/leaves/:leaveId
+// @access  Private/Officer,Admin
+const cancelLeave = asyncHandler(async (req, res, next) => {
+  const mitra = await findManagedMitra(req);
+  const leave = mitra.leaves.id(req.params.leaveId);
+
+  if (!leave || leave.cancelledAt) {
+    return next(new ErrorResponse('Leave not found', 404));
+  }
+
+  leave.cancelledAt = new Date();
+  await mitra.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave cancelled',
+    data: leave
+  });
+});
+
+// @desc    Set a Mitra's duty status
+// @route   PUT /api/mitras/:id/duty
+// @access  Private/Officer,Admin,Mitra (self)
+const updateDutyStatus = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const mitra = await findManagedMitra(req);
+
+  mitra.duty = {
+    status: req.body.status,
+    updatedBy: req.user.id,
+    updatedAt: new Date()
+  };
+  await mitra.save({ validateModifiedOnly: true });
+
+  const availability = mitra.getAvailability();
+  const io = req.app.get('socketio');
+  if (io) {
+    // Notify department
+    io.to(`dept_${mitra.department}`).emit('mitra_duty_updated', {
+      mitra: mitra.name,
+      status: mitra.duty.status,
+      available: availability.available
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Duty status set to ${mitra.duty.status}`,
+    data: { duty: mitra.duty, availability }
+  });
+});
+
+module.exports = {
+  getDepartmentMitra,
+  getReassignmentQueue,
+  getMitraSchedule,
+  updateRoster,
+  addLeave,
+  cancelLeave,
+  updateDutyStatus
+};
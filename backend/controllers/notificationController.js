@@ -0,0 +1,112 @@
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notificationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get the user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const unreadOnly = req.query.unread === 'true';
+
+  const { notifications, total, unreadCount } = await notificationService.list(req.user, { page, limit, unreadOnly });
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    },
+    data: notifications
+  });
+});
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res, next) => {
+  const unreadCount = await notificationService.getUnreadCount(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const notification = await notificationService.markRead(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as read',
+    data: notification
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res, next) => {
+  const updated = await notificationService.markAllRead(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: `${updated} notification(s) marked as read`,
+    data: { updated }
+  });
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  await notificationService.remove(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification deleted'
+  });
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
@@ -0,0 +1,233 @@
+const { validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const Complaint = require('../models/Complaint');
+const { ErrorResponse, asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get SLA policies
+// @route   GET /api/sla-policies
+// @access  Private/Admin
+const getSlaPolicies = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.department) {
+    query.department = req.query.department;
+  }
+  if (req.query.category) {
+    query.category = req.query.category;
+  }
+  if (req.query.priority) {
+    query.priority = req.query.priority;
+  }
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  // Only policies in force at the given date (default: now)
+  if (req.query.current === 'true') {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    query.isActive = true;
+    query.effectiveFrom = { $lte: at };
+    query.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: at } }];
+  }
+
+  const policies = await SlaPolicy.find(query)
+    .sort({ department: 1, priority: 1, category: 1, version: -1 })
+    .populate('createdBy', 'name email');
+
+  res.status(200).json({
+    success: true,
+    count: policies.length,
+    data: policies
+  });
+});
+
+// @desc    Get single SLA policy
+// @route   GET /api/sla-policies/:id
+// @access  Private/Admin
+const getSlaPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await SlaPolicy.findById(req.params.id)
+    .populate('createdBy', 'name email')
+    .populate('supersedes', 'version targetHours effectiveFrom effectiveTo');
+
+  if (!policy) {
+    return next(new ErrorResponse('SLA policy not found', 404));
+  }
+
+  const complaintsMeasured = await Complaint.countDocuments({ 'sla.policy.policyId': policy._id });
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+    complaintsMeasured
+  });
+});
+
+// @desc    Create SLA policy
+// @route   POST /api/sla-policies
+// @access  Private/Admin
+const createSlaPolicy = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { department, category = null, priority, targetHours, notes } = req.body;
+  const key = { department, category, priority };
+  const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+  const effectiveTo = req.body.effectiveTo ? new Date(req.body.effectiveTo) : null;
+
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    return next(new ErrorResponse('Effective to date must be after the effective from date', 400));
+  }
+
+  // Two policies in force for the same key would make the deadline depend
+  // on which one is found first; changes go through a revision instead
+  const overlapping = await SlaPolicy.findOverlapping(key, { effectiveFrom, effectiveTo });
+
+  if (overlapping) {
+    return next(new ErrorResponse(
+      `SLA policy version ${overlapping.version} is already in force for this department, category and priority; revise it with PUT /api/sla-policies/${overlapping._id}`,
+      409
+    ));
+  }
+
+  const version = await SlaPolicy.nextVersion(key);
+
+  const policy = await SlaPolicy.create({
+    ...key,
+    targetHours,
+    version,
+    effectiveFrom,
+    effectiveTo,
+    notes,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'SLA policy created successfully',
+    data: policy
+  });
+});
+
+// @desc    Revise SLA policy. Complaints keep the version they were measured
+//          against, so a revision creates a new version that supersedes the
+//          old one from its effective date.
+// @route   PUT /api/sla-policies/:id
+// @access  Private/Admin
+const updateSlaPolicy = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const current = await SlaPolicy.findById(req.params.id);
+
+  if (!current) {
+    return next(new ErrorResponse('SLA policy not found', 404));
+  }
+
+  if (!current.isActive) {
+    return next(new ErrorResponse('Cannot revise an inactive SLA policy', 400));
+  }
+
+  const now = new Date();
+
+  // Only the version in force (or scheduled) can be revised; older ones are
+  // history and editing them would overlap their successors
+  if (current.effectiveTo && current.effectiveTo <= now) {
+    return next(new ErrorResponse('This SLA policy version has ended and can no longer be revised', 409));
+  }
+
+  const key = {
+    department: current.department,
+    category: current.category,
+    priority: current.priority
+  };
+
+  const laterVersion = await SlaPolicy.findOne({ ...key, isActive: true, version: { $gt: current.version } });
+  if (laterVersion) {
+    return next(new ErrorResponse(
+      `SLA policy version ${current.version} has been superseded; revise version ${laterVersion.version} with PUT /api/sla-policies/${laterVersion._id}`,
+      409
+    ));
+  }
+
+  const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : now;
+
+  if (effectiveFrom < current.effectiveFrom) {
+    return next(new ErrorResponse('Revision cannot take effect before the current version', 400));
+  }
+
+  const effectiveTo = req.body.effectiveTo ? new Date(req.body.effectiveTo) : current.effectiveTo;
+
+  if (effectiveTo && effectiveTo <= effectiveFrom) {
+    return next(new ErrorResponse('Effective to date must be after the effective from date', 400));
+  }
+
+  // The current version is closed at effectiveFrom, so only other policies
+  // can overlap the revision
+  const overlapping = await SlaPolicy.findOverlapping(key, { effectiveFrom, effectiveTo }, current._id);
+
+  if (overlapping) {
+    return next(new ErrorResponse(
+      `SLA policy version ${overlapping.version} is already in force for part of this period`,
+      409
+    ));
+  }
+
+  const revision = await SlaPolicy.create({
+    ...key,
+    targetHours: req.body.targetHours ?? current.targetHours,
+    version: await SlaPolicy.nextVersion(key),
+    effectiveFrom,
+    effectiveTo,
+    notes: req.body.notes ?? current.notes,
+    supersedes: current._id,
+    createdBy: req.user.id
+  });
+
+  current.effectiveTo = effectiveFrom;
+  await current.save();
+
+  res.status(200).json({
+    success: true,
+    message: `SLA policy revised to version ${revision.version}`,
+    data: revision
+  });
+});
+
+// @desc    Deactivate SLA policy (kept for complaints measured against it)
+// @route   DELETE /api/sla-policies/:id
+// @access  Private/Admin
+const deleteSlaPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await SlaPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return next(new ErrorResponse('SLA policy not found', 404));
+  }
+
+  policy.isActive = false;
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'SLA policy deactivated successfully'
+  });
+});
+
+module.exports = {
+  getSlaPolicies,
+  getSlaPolicy,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+};
@@ -0,0 +1,83 @@
+const { validationResult } = require('express-validator');
+const uploadService = require('../services/uploadService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Start a resumable upload
+// @route   POST /api/uploads
+// @access  Private
+const createUpload = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { originalName, mimetype, size } = req.body;
+  const upload = await uploadService.create(req.user, { originalName, mimetype, size: Number(size) });
+
+  res.status(201).json({
+    success: true,
+    message: `Send the file in chunks of up to ${upload.chunkSize} bytes`,
+    data: upload
+  });
+});
+
+// @desc    Get an upload's progress, to resume it
+// @route   GET /api/uploads/:id
+// @access  Private (own uploads)
+const getUpload = asyncHandler(async (req, res, next) => {
+  const upload = await uploadService.findOwn(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: upload
+  });
+});
+
+// @desc    Upload the next chunk of a file
+// @route   PUT /api/uploads/:id/chunks?offset=<bytes received>
+// @access  Private (own uploads)
+const uploadChunk = asyncHandler(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const upload = await uploadService.findOwn(req.params.id, req.user);
+  const updated = await uploadService.appendChunk(upload, Number(req.query.offset), req.body);
+
+  res.status(200).json({
+    success: true,
+    message: updated.status === 'uploading'
+      ? `Received ${updated.receivedBytes} of ${updated.size} bytes`
+      : `Upload ${updated.status}`,
+    data: updated
+  });
+});
+
+// @desc    Cancel an upload that is not attached yet
+// @route   DELETE /api/uploads/:id
+// @access  Private (own uploads)
+const cancelUpload = asyncHandler(async (req, res, next) => {
+  const upload = await uploadService.findOwn(req.params.id, req.user);
+  await uploadService.discard(upload);
+
+  res.status(200).json({
+    success: true,
+    message: 'Upload cancelled'
+  });
+});
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  cancelUpload
+};
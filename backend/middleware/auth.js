@@ -117,15 +117,19 @@ const authorizeComplaintAccess = async (req, res, next) => {
   try {
     const Complaint = require('../models/Complaint');
     const complaintId = req.params.id || req.params.complaintId;
+    const complaintNumber = req.params.complaintNumber;
     
-    if (!complaintId) {
+    if (!complaintId && !complaintNumber) {
       return res.status(400).json({
         success: false,
         message: 'Complaint ID is required'
       });
     }
     
-    const complaint = await Complaint.findById(complaintId);
+    // Human-readable IDs (e.g. C2026100042) resolve to the record
+    const complaint = complaintNumber
+      ? await Complaint.findOne({ complaintId: complaintNumber.toUpperCase(), isActive: true })
+      : await Complaint.findById(complaintId);
     
     if (!complaint) {
       return res.status(404).json({
@@ -143,19 +147,20 @@ const authorizeComplaintAccess = async (req, res, next) => {
         break;
         
       case 'citizen':
-        // Citizens can only access their own complaints
-        hasAccess = complaint.citizen.toString() === user._id.toString();
+        // Citizens can access their own complaints and those their duplicates were merged into
+        hasAccess = complaint.citizen.toString() === user._id.toString() ||
+                   complaint.reporters.some(reporter => reporter.citizen.toString() === user._id.toString());
         break;
         
       case 'officer':
         // Officers can access complaints in their department
-        hasAccess = complaint.aiClassification.department === user.department ||
+        hasAccess = complaint.effectiveClassification.department === user.department ||
                    complaint.assignedOfficer?.toString() === user._id.toString();
         break;
         
       case 'mitra':
         // Mitra can access assigned complaints in their department
-        hasAccess = (complaint.aiClassification.department === user.department &&
+        hasAccess = (complaint.effectiveClassification.department === user.department &&
                     complaint.assignedMitra?.toString() === user._id.toString());
         break;
         
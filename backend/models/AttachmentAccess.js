@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Audit trail of complaint attachment downloads
+const attachmentAccessSchema = new mongoose.Schema({
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  variant: {
+    type: String,
+    enum: ['thumbnail', 'web', null],
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // How the request was authorized
+  via: {
+    type: String,
+    enum: ['session', 'signed_url'],
+    required: true
+  },
+  ip: String,
+  userAgent: String,
+  accessedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for per-complaint and per-user audits
+attachmentAccessSchema.index({ complaint: 1, accessedAt: -1 });
+attachmentAccessSchema.index({ user: 1, accessedAt: -1 });
+
+module.exports = mongoose.model('AttachmentAccess', attachmentAccessSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const classificationSchema = new mongoose.Schema({
+  category: String,
+  department: String,
+  priority: String
+}, { _id: false });
+
+// Officer corrections to the AI classification, kept as labeled examples
+const classificationFeedbackSchema = new mongoose.Schema({
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  complaintId: {
+    type: String,
+    required: true
+  },
+  // Text the classifier saw
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  keywords: [{
+    type: String
+  }],
+  type: {
+    type: String,
+    enum: ['department_transfer', 'manual_override'],
+    required: true
+  },
+  predicted: {
+    type: classificationSchema,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    default: null
+  },
+  corrected: {
+    type: classificationSchema,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  correctedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for recent examples and per-department reporting
+classificationFeedbackSchema.index({ createdAt: -1 });
+classificationFeedbackSchema.index({ complaint: 1 });
+classificationFeedbackSchema.index({ 'predicted.department': 1, 'corrected.department': 1 });
+
+module.exports = mongoose.model('ClassificationFeedback', classificationFeedbackSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Earlier version of a comment, kept for audit when it is edited or deleted
+const commentRevisionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['edited', 'deleted'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Staff discussion on a complaint. Replies point at their parent comment;
+// deleted comments stay in place (text hidden) so their replies keep a thread
+const commentSchema = new mongoose.Schema({
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Staff users @mentioned by employee ID
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  history: [commentRevisionSchema]
+}, {
+  timestamps: true
+});
+
+// Index for loading a complaint's discussion in order
+commentSchema.index({ complaint: 1, createdAt: 1 });
+
+// Hide the text and history of deleted comments from responses
+commentSchema.methods.toThreadJSON = function() {
+  const json = this.toJSON();
+  delete json.history;
+  if (this.isDeleted) {
+    json.text = null;
+    json.mentions = [];
+  }
+  return json;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
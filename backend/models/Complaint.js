@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
+const { getSLACalendar } = require('../config/slaCalendars');
+const { addWorkingHours, workingHoursBetween } = require('../utils/slaCalendar');
+const SlaPolicy = require('./SlaPolicy');
+const Counter = require('./Counter');
+
+// Resized copy of an uploaded image
+const imageVariantSchema = new mongoose.Schema({
+  key: String,
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Uploaded file, stored under `key` in the configured storage backend
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  key: String,
+  size: Number,
+  mimetype: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set by the image pipeline (imageProcessingService)
+  metadataStripped: {
+    type: Boolean,
+    default: false
+  },
+  gps: {
+    latitude: {
+      type: Number,
+      default: null
+    },
+    longitude: {
+      type: Number,
+      default: null
+    }
+  },
+  variants: {
+    thumbnail: imageVariantSchema,
+    web: imageVariantSchema
+  }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Access-controlled download URLs (see attachmentController); files are
+// never served straight from storage
+attachmentSchema.virtual('url').get(function() {
+  return `/api/complaints/${this.ownerDocument()._id}/attachments/${this._id}`;
+});
+
+imageVariantSchema.virtual('url').get(function() {
+  return `${this.parent().url}?variant=${this.$basePath.split('.').pop()}`;
+});
+
+// Resolution proof, labeled with the slot it was uploaded for.
+// Unlabeled proof (uploaded before slots existed) counts as after.
+const proofAttachmentSchema = attachmentSchema.clone();
+proofAttachmentSchema.add({
+  slot: {
+    type: String,
+    enum: ['before', 'after', 'document'],
+    default: 'after'
+  }
+});
 
 const timelineEntrySchema = new mongoose.Schema({
   action: {
@@ -8,7 +73,8 @@ const timelineEntrySchema = new mongoose.Schema({
     enum: [
       'submitted', 'ai_classified', 'assigned_officer', 'assigned_mitra', 
       'in_progress', 'resolved', 'rejected', 'escalated', 'reopened', 
-      'feedback_received', 'closed'
+      'on_hold', 'resumed', 'transferred', 'reclassified', 'merged', 'duplicate_merged',
+      'site_check_in', 'site_check_out', 'feedback_received', 'closed'
     ]
   },
   description: {
@@ -28,19 +94,37 @@ const timelineEntrySchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  attachments: [{
-    filename: String,
-    originalName: String,
-    path: String,
-    size: Number,
-    mimetype: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
+  attachments: [attachmentSchema]
 });
 
+// Device position reported on a site check-in or check-out
+const siteVisitPointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  accuracy: {
+    type: Number, // in meters, as reported by the device
+    default: null
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  distanceMeters: {
+    type: Number,
+    default: null
+  },
+  withinRange: {
+    type: Boolean,
+    default: null
+  }
+}, { _id: false });
+
 const complaintSchema = new mongoose.Schema({
   // Basic complaint information
   complaintId: {
@@ -100,10 +184,65 @@ const complaintSchema = new mongoose.Schema({
     }
   },
   
+  // Officer corrections of the AI category/priority and department transfers;
+  // when set they take precedence (see effectiveClassification). The AI
+  // classification itself is never rewritten.
+  manualClassification: {
+    category: {
+      type: String,
+      enum: [
+        'Road and Infrastructure', 'Water Supply', 'Electricity', 'Sanitation and Waste Management',
+        'Traffic and Transportation', 'Public Safety', 'Health Services', 'Education',
+        'Parks and Recreation', 'Revenue and Tax', 'Municipal Services', 'Other', null
+      ],
+      default: null
+    },
+    department: {
+      type: String,
+      enum: [
+        'PWD', 'Water Works', 'Electricity', 'Sanitation', 'Traffic Police',
+        'Municipal Corporation', 'Health Department', 'Education', 'Fire Department',
+        'Parks and Gardens', 'Revenue Department', 'IT Department', 'Other', null
+      ],
+      default: null
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical', null],
+      default: null
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    overriddenAt: {
+      type: Date,
+      default: null
+    },
+    history: [{
+      previousCategory: String,
+      previousDepartment: String,
+      previousPriority: String,
+      category: String,
+      department: String,
+      priority: String,
+      justification: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      overriddenAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
   // Status and Assignment
   status: {
     type: String,
-    enum: ['new', 'assigned', 'in_progress', 'resolved', 'rejected', 'escalated', 'closed'],
+    enum: ['new', 'assigned', 'in_progress', 'on_hold', 'resolved', 'rejected', 'escalated', 'merged', 'closed'],
     default: 'new'
   },
   assignedOfficer: {
@@ -152,6 +291,24 @@ const complaintSchema = new mongoose.Schema({
     landmark: {
       type: String,
       default: ''
+    },
+    // Whether the coordinates were reported by the citizen or taken from
+    // the GPS of an attached photo
+    coordinatesSource: {
+      type: String,
+      enum: ['reported', 'photo', null],
+      default: null
+    },
+    // Reported coordinates checked against the GPS of an attached photo
+    photoCheck: {
+      distanceMeters: {
+        type: Number,
+        default: null
+      },
+      withinRange: {
+        type: Boolean,
+        default: null
+      }
     }
   },
   
@@ -177,21 +334,39 @@ const complaintSchema = new mongoose.Schema({
       type: String,
       enum: ['safe', 'warning', 'critical', 'breached'],
       default: 'safe'
+    },
+    // Last status the SLA monitor announced; kept apart from `status`, which
+    // is also refreshed when complaints are listed, viewed or saved
+    lastAlertedStatus: {
+      type: String,
+      enum: ['safe', 'warning', 'critical', 'breached'],
+      default: 'safe'
+    },
+    // Policy the SLA is measured against
+    policy: {
+      policyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlaPolicy',
+        default: null
+      },
+      version: {
+        type: Number,
+        default: null
+      },
+      targetHours: {
+        type: Number,
+        default: null
+      },
+      source: {
+        type: String,
+        enum: ['policy', 'default'],
+        default: 'default'
+      }
     }
   },
   
   // Attachments (Evidence)
-  attachments: [{
-    filename: String,
-    originalName: String,
-    path: String,
-    size: Number,
-    mimetype: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  attachments: [attachmentSchema],
   
   // Timeline of actions
   timeline: [timelineEntrySchema],
@@ -211,6 +386,7 @@ const complaintSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // Public updates are shown to citizens; internal notes only to staff
     isPublic: {
       type: Boolean,
       default: true
@@ -259,19 +435,32 @@ const complaintSchema = new mongoose.Schema({
       type: Number, // in hours
       default: null
     },
-    proofAttachments: [{
-      filename: String,
-      originalName: String,
-      path: String,
-      size: Number,
-      mimetype: String,
-      uploadedAt: {
-        type: Date,
-        default: Date.now
-      }
-    }]
+    proofAttachments: [proofAttachmentSchema],
+    // Whether a Mitra checked in within range of the site; null without site coordinates
+    siteVerified: {
+      type: Boolean,
+      default: null
+    }
   },
   
+  // Mitra check-ins and check-outs at the complaint location
+  siteVisits: [{
+    mitra: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    checkIn: siteVisitPointSchema,
+    checkOut: {
+      type: siteVisitPointSchema,
+      default: null
+    },
+    minutesOnSite: {
+      type: Number,
+      default: null
+    }
+  }],
+  
   // Escalation Information
   escalation: {
     level: {
@@ -290,7 +479,217 @@ const complaintSchema = new mongoose.Schema({
     reason: {
       type: String,
       default: ''
+    },
+    levelTitle: {
+      type: String,
+      default: ''
+    },
+    currentOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    history: [{
+      level: Number,
+      levelTitle: String,
+      owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      escalatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      escalatedAt: {
+        type: Date,
+        default: Date.now
+      },
+      reason: String
+    }]
+  },
+  
+  // On-hold Information (the SLA clock is paused while on hold)
+  hold: {
+    reason: {
+      type: String,
+      enum: ['awaiting_citizen', 'awaiting_other_agency', 'awaiting_material', 'other', null],
+      default: null
+    },
+    details: {
+      type: String,
+      default: ''
+    },
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    heldAt: {
+      type: Date,
+      default: null
+    },
+    resumeAt: {
+      type: Date,
+      default: null
+    },
+    previousStatus: {
+      type: String,
+      default: null
+    },
+    // Working hours left on the SLA when the hold started
+    remainingHours: {
+      type: Number,
+      default: null
+    },
+    totalHours: {
+      type: Number, // wall-clock hours spent on hold
+      default: 0
+    },
+    history: [{
+      reason: String,
+      details: String,
+      heldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      heldAt: Date,
+      resumedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      resumedAt: Date,
+      autoResumed: {
+        type: Boolean,
+        default: false
+      },
+      pausedHours: Number
+    }]
+  },
+  
+  // Department transfers (misclassified complaints)
+  transfers: [{
+    fromDepartment: String,
+    toDepartment: String,
+    fromCategory: String,
+    toCategory: String,
+    reason: String,
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    },
+    previousStatus: String,
+    previousMitra: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    slaMode: String,
+    previousDeadline: Date,
+    newDeadline: Date
+  }],
+  
+  // Likely duplicates found when the complaint was filed
+  duplicateCheck: {
+    candidates: [{
+      complaint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Complaint'
+      },
+      complaintId: String,
+      distanceMeters: Number,
+      similarity: Number,
+      score: Number
+    }],
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Parent complaint this duplicate was merged into
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    default: null
+  },
+  
+  // Citizens of duplicates merged into this complaint
+  reporters: [{
+    citizen: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    complaint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    complaintId: String,
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mergedAt: {
+      type: Date,
+      default: Date.now
+    },
+    feedback: {
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+        default: null
+      },
+      satisfied: {
+        type: Boolean,
+        default: null
+      },
+      comments: {
+        type: String,
+        maxlength: [500, 'Feedback comments cannot exceed 500 characters'],
+        default: ''
+      },
+      submittedAt: {
+        type: Date,
+        default: null
+      }
     }
+  }],
+  
+  // Reopen Information
+  reopen: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastReopenedAt: {
+      type: Date,
+      default: null
+    },
+    history: [{
+      reason: String,
+      reopenedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reopenedAt: {
+        type: Date,
+        default: Date.now
+      },
+      previousStatus: String,
+      department: String,
+      assignedMitra: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      previousResolvedAt: Date
+    }]
   },
   
   // Language
@@ -318,13 +717,31 @@ const complaintSchema = new mongoose.Schema({
 complaintSchema.index({ complaintId: 1 });
 complaintSchema.index({ citizen: 1 });
 complaintSchema.index({ 'aiClassification.department': 1 });
+complaintSchema.index({ 'manualClassification.department': 1 });
 complaintSchema.index({ status: 1 });
 complaintSchema.index({ assignedOfficer: 1 });
 complaintSchema.index({ assignedMitra: 1 });
+complaintSchema.index({ 'escalation.currentOwner': 1 });
 complaintSchema.index({ 'location.zone': 1 });
 complaintSchema.index({ 'sla.deadline': 1 });
+complaintSchema.index({ status: 1, 'hold.resumeAt': 1 });
 complaintSchema.index({ createdAt: -1 });
 complaintSchema.index({ 'aiClassification.priority': 1 });
+complaintSchema.index({ 'manualClassification.priority': 1 });
+complaintSchema.index({ mergedInto: 1 });
+complaintSchema.index({ 'reporters.citizen': 1 });
+
+// Hours before the deadline at which the SLA turns critical / warning
+const SLA_CRITICAL_HOURS = 6;
+const SLA_WARNING_HOURS = 24;
+
+// Roles that can read and add internal notes
+const INTERNAL_REMARK_ROLES = ['officer', 'admin', 'mitra'];
+
+// Virtual for the classification in force (officer overrides win over the AI)
+complaintSchema.virtual('effectiveClassification').get(function() {
+  return this.constructor.getEffectiveClassification(this);
+});
 
 // Virtual for SLA status calculation
 complaintSchema.virtual('slaStatus').get(function() {
@@ -332,19 +749,7 @@ complaintSchema.virtual('slaStatus').get(function() {
     return 'completed';
   }
   
-  const now = new Date();
-  const deadline = new Date(this.sla.deadline);
-  const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
-  
-  if (hoursRemaining < 0) {
-    return 'breached';
-  } else if (hoursRemaining < 6) {
-    return 'critical';
-  } else if (hoursRemaining < 24) {
-    return 'warning';
-  } else {
-    return 'safe';
-  }
+  return this.constructor.computeSLAState(this).status;
 });
 
 // Virtual for resolution time calculation
@@ -357,17 +762,76 @@ complaintSchema.virtual('actualResolutionTime').get(function() {
   return null;
 });
 
+// Virtual pairing before and after proof photos for side-by-side display
+complaintSchema.virtual('proofComparison').get(function() {
+  const proof = this.resolution?.proofAttachments || [];
+  if (proof.length === 0) {
+    return null;
+  }
+  
+  const before = proof.filter(file => file.slot === 'before');
+  const after = proof.filter(file => file.slot === 'after');
+  
+  return {
+    pairs: Array.from({ length: Math.max(before.length, after.length) }, (_, index) => ({
+      before: before[index] || null,
+      after: after[index] || null
+    })),
+    documents: proof.filter(file => file.slot === 'document')
+  };
+});
+
 // Static method to generate complaint ID
-complaintSchema.statics.generateComplaintId = async function() {
-  const count = await this.countDocuments();
-  const year = new Date().getFullYear();
-  const month = String(new Date().getMonth() + 1).padStart(2, '0');
-  return `C${year}${month}${String(count + 1).padStart(4, '0')}`;
+complaintSchema.statics.generateComplaintId = async function(now = new Date()) {
+  const prefix = `C${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+  
+  // The first ID of a month continues after any IDs already issued with its prefix
+  const seq = await Counter.next(`complaint_${prefix}`, async () => {
+    const [latest] = await this.aggregate([
+      { $match: { complaintId: { $regex: `^${prefix}\\d+$` } } },
+      { $group: { _id: null, seq: { $max: { $toInt: { $substrCP: ['$complaintId', prefix.length, 20] } } } } }
+    ]);
+    return latest ? latest.seq : 0;
+  });
+  
+  return `${prefix}${String(seq).padStart(4, '0')}`;
+};
+
+// Static method to get the classification in force; works on documents and lean objects
+complaintSchema.statics.getEffectiveClassification = function(complaint) {
+  const ai = complaint.aiClassification || {};
+  const manual = complaint.manualClassification || {};
+  
+  return {
+    category: manual.category || ai.category,
+    department: manual.department || ai.department,
+    priority: manual.priority || ai.priority,
+    source: manual.category || manual.department || manual.priority ? 'manual' : 'ai'
+  };
+};
+
+// Static method to match complaints by effective department
+complaintSchema.statics.effectiveDepartmentQuery = function(department) {
+  return {
+    $or: [
+      { 'manualClassification.department': department },
+      { 'manualClassification.department': null, 'aiClassification.department': department }
+    ]
+  };
 };
 
-// Static method to calculate SLA deadline
-complaintSchema.statics.calculateSLADeadline = function(priority, department) {
-  const now = new Date();
+// Static method to match complaints by effective priority
+complaintSchema.statics.effectivePriorityQuery = function(priority) {
+  return {
+    $or: [
+      { 'manualClassification.priority': priority },
+      { 'manualClassification.priority': null, 'aiClassification.priority': priority }
+    ]
+  };
+};
+
+// Static method to get the built-in SLA target when no policy matches
+complaintSchema.statics.getDefaultSLAHours = function(priority, department) {
   let hours = 72; // Default 3 days
   
   // Priority-based SLA
@@ -392,34 +856,244 @@ complaintSchema.statics.calculateSLADeadline = function(priority, department) {
     hours = Math.max(hours * 0.5, 2); // Reduce by half, minimum 2 hours
   }
   
-  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+  return hours;
 };
 
-// Method to update SLA status
-complaintSchema.methods.updateSLAStatus = function() {
-  const now = new Date();
-  const deadline = new Date(this.sla.deadline);
-  const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
+// Static method to calculate SLA deadline from the built-in targets (counts working hours only)
+complaintSchema.statics.calculateSLADeadline = function(priority, department, from = new Date()) {
+  const hours = this.getDefaultSLAHours(priority, department);
+  return addWorkingHours(from, hours, getSLACalendar(department));
+};
+
+// Static method to resolve the SLA from the matching policy, falling back to built-in targets
+complaintSchema.statics.resolveSLA = async function({ department, category, priority }, from = new Date()) {
+  const policy = await SlaPolicy.findApplicable({ department, category, priority }, from);
+  const hours = policy ? policy.targetHours : this.getDefaultSLAHours(priority, department);
+  
+  return {
+    deadline: addWorkingHours(from, hours, getSLACalendar(department)),
+    policy: {
+      policyId: policy ? policy._id : null,
+      version: policy ? policy.version : null,
+      targetHours: hours,
+      source: policy ? 'policy' : 'default'
+    }
+  };
+};
+
+// Static method to compute SLA state; works on documents and lean objects.
+// While on hold the clock is frozen at the moment the hold started.
+complaintSchema.statics.computeSLAState = function(complaint, now = new Date()) {
+  const deadline = new Date(complaint.sla.deadline);
+  const calendar = getSLACalendar(this.getEffectiveClassification(complaint).department);
+  const reference = complaint.status === 'on_hold' && complaint.hold?.heldAt
+    ? new Date(complaint.hold.heldAt)
+    : now;
+  const hoursRemaining = workingHoursBetween(reference, deadline, calendar);
+  
+  let status;
+  if (hoursRemaining < 0) {
+    status = 'breached';
+  } else if (hoursRemaining < SLA_CRITICAL_HOURS) {
+    status = 'critical';
+  } else if (hoursRemaining < SLA_WARNING_HOURS) {
+    status = 'warning';
+  } else {
+    status = 'safe';
+  }
+  
+  return { hoursRemaining, status };
+};
+
+// Method to apply the current SLA state without saving
+complaintSchema.methods.applySLAState = function(now = new Date()) {
+  const { hoursRemaining, status } = this.constructor.computeSLAState(this, now);
   
   this.sla.remainingHours = Math.max(hoursRemaining, 0);
   
-  if (hoursRemaining < 0 && !this.sla.isBreached) {
+  if (status === 'breached' && !this.sla.isBreached) {
     this.sla.isBreached = true;
     this.sla.breachedAt = now;
     this.sla.status = 'breached';
-  } else if (hoursRemaining >= 0) {
-    if (hoursRemaining < 6) {
-      this.sla.status = 'critical';
-    } else if (hoursRemaining < 24) {
-      this.sla.status = 'warning';
-    } else {
-      this.sla.status = 'safe';
-    }
+  } else if (status !== 'breached') {
+    this.sla.status = status;
   }
-  
+};
+
+// Method to update SLA status
+complaintSchema.methods.updateSLAStatus = function() {
+  this.applySLAState();
   return this.save();
 };
 
+// Method to pause the SLA clock; the caller sets the status
+complaintSchema.methods.placeOnHold = function({ reason, details = '', resumeAt = null, userId }, now = new Date()) {
+  const calendar = getSLACalendar(this.effectiveClassification.department);
+  
+  this.hold.reason = reason;
+  this.hold.details = details;
+  this.hold.heldBy = userId;
+  this.hold.heldAt = now;
+  this.hold.resumeAt = resumeAt;
+  this.hold.previousStatus = this.status;
+  this.hold.remainingHours = workingHoursBetween(now, this.sla.deadline, calendar);
+};
+
+// Method to restart the SLA clock, moving the deadline by the time spent on hold.
+// Returns the status the complaint was in before the hold.
+complaintSchema.methods.resumeFromHold = function({ userId = null, autoResumed = false } = {}, now = new Date()) {
+  const calendar = getSLACalendar(this.effectiveClassification.department);
+  const pausedHours = (now - this.hold.heldAt) / (1000 * 60 * 60);
+  const previousStatus = this.hold.previousStatus;
+  
+  // An SLA already breached before the hold stays breached
+  if (this.hold.remainingHours > 0) {
+    this.sla.deadline = addWorkingHours(now, this.hold.remainingHours, calendar);
+  }
+  
+  this.hold.history.push({
+    reason: this.hold.reason,
+    details: this.hold.details,
+    heldBy: this.hold.heldBy,
+    heldAt: this.hold.heldAt,
+    resumedBy: userId,
+    resumedAt: now,
+    autoResumed,
+    pausedHours: Math.round(pausedHours * 100) / 100
+  });
+  this.hold.totalHours = Math.round((this.hold.totalHours + pausedHours) * 100) / 100;
+  
+  this.hold.reason = null;
+  this.hold.details = '';
+  this.hold.heldBy = null;
+  this.hold.heldAt = null;
+  this.hold.resumeAt = null;
+  this.hold.previousStatus = null;
+  this.hold.remainingHours = null;
+  
+  return previousStatus;
+};
+
+// Method to record an officer's correction of category, department and/or
+// priority without saving; returns the history entry
+complaintSchema.methods.overrideClassification = function({ category, department, priority, justification, userId }, now = new Date()) {
+  const previous = this.effectiveClassification;
+  
+  const entry = {
+    previousCategory: previous.category,
+    previousDepartment: previous.department,
+    previousPriority: previous.priority,
+    category: category || previous.category,
+    department: department || previous.department,
+    priority: priority || previous.priority,
+    justification,
+    overriddenBy: userId,
+    overriddenAt: now
+  };
+  
+  // Matching the AI again clears the override
+  this.manualClassification.category = entry.category !== this.aiClassification.category ? entry.category : null;
+  this.manualClassification.department = entry.department !== this.aiClassification.department ? entry.department : null;
+  this.manualClassification.priority = entry.priority !== this.aiClassification.priority ? entry.priority : null;
+  this.manualClassification.overriddenBy = userId;
+  this.manualClassification.overriddenAt = now;
+  this.manualClassification.history.push(entry);
+  
+  return entry;
+};
+
+// Method to recompute the SLA deadline under the effective classification
+// without saving, counting from the given start time
+complaintSchema.methods.recomputeSLA = async function(from = new Date()) {
+  const { deadline, policy } = await this.constructor.resolveSLA(this.effectiveClassification, from);
+  
+  this.sla.deadline = deadline;
+  this.sla.policy = policy;
+  this.sla.isBreached = false;
+  this.sla.breachedAt = null;
+  // Warnings start over against the new deadline
+  this.sla.lastAlertedStatus = 'safe';
+  
+  // A held complaint keeps its clock frozen against the new deadline
+  if (this.status === 'on_hold') {
+    const calendar = getSLACalendar(this.effectiveClassification.department);
+    this.hold.remainingHours = workingHoursBetween(this.hold.heldAt, deadline, calendar);
+  }
+  
+  return deadline;
+};
+
+// Method to take over the reporters of a duplicate complaint.
+// The caller moves the duplicate to merged status.
+complaintSchema.methods.absorbDuplicate = function(duplicate, { userId }, now = new Date()) {
+  const known = new Set(this.getReporterIds());
+  const incoming = [
+    { citizen: duplicate.citizen, complaint: duplicate._id, complaintId: duplicate.complaintId },
+    ...(duplicate.reporters || []).map(reporter => ({
+      citizen: reporter.citizen,
+      complaint: reporter.complaint,
+      complaintId: reporter.complaintId
+    }))
+  ];
+  
+  const added = incoming.filter(reporter => {
+    const id = reporter.citizen.toString();
+    if (known.has(id)) return false;
+    known.add(id);
+    return true;
+  });
+  
+  added.forEach(reporter => {
+    this.reporters.push({ ...reporter, mergedBy: userId, mergedAt: now });
+  });
+  
+  duplicate.mergedInto = this._id;
+  duplicate.reporters = [];
+  
+  return added;
+};
+
+// Method to record a reopen and clear the resolution and every reporter's
+// feedback, so the next resolution is rated afresh
+complaintSchema.methods.recordReopen = function({ reason, userId }, now = new Date()) {
+  this.reopen.count += 1;
+  this.reopen.lastReopenedAt = now;
+  this.reopen.history.push({
+    reason,
+    reopenedBy: userId,
+    reopenedAt: now,
+    previousStatus: this.status,
+    department: this.effectiveClassification.department,
+    assignedMitra: this.assignedMitra,
+    previousResolvedAt: this.resolution.resolvedAt
+  });
+  
+  this.resolution = {
+    description: '',
+    resolvedBy: null,
+    resolvedAt: null,
+    resolutionTime: null,
+    proofAttachments: []
+  };
+  this.citizenFeedback = {
+    rating: null,
+    satisfied: null,
+    comments: '',
+    submittedAt: null
+  };
+  this.reporters.forEach(reporter => {
+    reporter.feedback = { rating: null, satisfied: null, comments: '', submittedAt: null };
+  });
+};
+
+// Method to list the original citizen and every merged reporter
+complaintSchema.methods.getReporterIds = function() {
+  const ids = [this.citizen, ...(this.reporters || []).map(reporter => reporter.citizen)]
+    .map(id => (id._id || id).toString());
+  
+  return [...new Set(ids)];
+};
+
 // Method to add timeline entry
 complaintSchema.methods.addTimelineEntry = function(action, description, performedBy, remarks = '', attachments = []) {
   this.timeline.push({
@@ -444,6 +1118,35 @@ complaintSchema.methods.addRemark = function(text, addedBy, isPublic = true) {
   return this.save();
 };
 
+// Check whether a role can read and add internal notes
+complaintSchema.statics.canSeeInternalRemarks = function(role) {
+  return INTERNAL_REMARK_ROLES.includes(role);
+};
+
+// Remarks a role can see: everything for staff, public updates for citizens
+complaintSchema.statics.getVisibleRemarks = function(remarks = [], role) {
+  return this.canSeeInternalRemarks(role) ? remarks : remarks.filter(remark => remark.isPublic);
+};
+
+// Method to serialize the complaint for a user without the remarks their
+// role cannot see. Citizens also never see the duplicate candidates, which
+// are other citizens' complaints, and reporters merged into the complaint
+// see neither the original citizen's details nor the other reporters.
+complaintSchema.methods.toJSONFor = function(user) {
+  const json = this.toJSON();
+  json.remarks = this.constructor.getVisibleRemarks(json.remarks, user.role);
+  if (!this.constructor.canSeeInternalRemarks(user.role)) {
+    delete json.duplicateCheck;
+  }
+
+  const citizenId = (this.citizen._id || this.citizen).toString();
+  if (user.role === 'citizen' && citizenId !== user._id.toString()) {
+    json.citizen = citizenId;
+    delete json.reporters;
+  }
+  return json;
+};
+
 // Pre-save middleware to update SLA status
 complaintSchema.pre('save', function(next) {
   if (this.isNew) {
@@ -456,27 +1159,9 @@ complaintSchema.pre('save', function(next) {
     });
   }
   
-  // Update SLA status if not resolved/closed
-  if (this.status !== 'resolved' && this.status !== 'closed') {
-    const now = new Date();
-    const deadline = new Date(this.sla.deadline);
-    const hoursRemaining = (deadline - now) / (1000 * 60 * 60);
-    
-    this.sla.remainingHours = Math.max(hoursRemaining, 0);
-    
-    if (hoursRemaining < 0 && !this.sla.isBreached) {
-      this.sla.isBreached = true;
-      this.sla.breachedAt = now;
-      this.sla.status = 'breached';
-    } else if (hoursRemaining >= 0) {
-      if (hoursRemaining < 6) {
-        this.sla.status = 'critical';
-      } else if (hoursRemaining < 24) {
-        this.sla.status = 'warning';
-      } else {
-        this.sla.status = 'safe';
-      }
-    }
+  // Update SLA status if not resolved/closed/merged
+  if (!['resolved', 'closed', 'merged'].includes(this.status)) {
+    this.applySLAState();
   }
   
   next();
@@ -512,7 +1197,7 @@ complaintSchema.statics.getAnalytics = async function(filters = {}) {
         $push: '$aiClassification.priority'
       },
       byDepartment: {
-        $push: '$aiClassification.department'
+        $push: { $ifNull: ['$manualClassification.department', '$aiClassification.department'] }
       },
       byZone: {
         $push: '$location.zone'
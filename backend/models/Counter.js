@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically (e.g. complaint IDs per month)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String // Sequence name
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the next value of a sequence. Values are unique across concurrent
+ * callers and processes; a value taken by a failed insert is not reused.
+ * @param {string} name - Sequence name
+ * @param {Function} [seed] - Returns the last value already in use, called
+ *   once when the sequence does not exist yet
+ * @returns {Promise<number>} Next value
+ */
+counterSchema.statics.next = async function(name, seed = async () => 0) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+
+  if (counter) {
+    return counter.seq;
+  }
+
+  // $max keeps concurrent seeding idempotent
+  try {
+    await this.updateOne({ _id: name }, { $max: { seq: await seed() } }, { upsert: true });
+  } catch (error) {
+    // Another process created the sequence first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return this.next(name);
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
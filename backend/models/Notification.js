@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A user's notification inbox entry, kept so offline users catch up on
+// what was pushed over socket
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Socket event it was saved for (mention for comment_mention)
+  type: {
+    type: String,
+    enum: [
+      'new_complaint',
+      'complaint_assigned',
+      'complaint_status_updated',
+      'new_remark',
+      'feedback_received',
+      'mention'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    default: null
+  },
+  // Event payload as sent over socket
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's inbox and counting unread entries
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Upload flagged by the malware scanner, kept out of complaints for review
+const quarantinedFileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: String,
+  // Type the client declared and type found from the file's contents
+  declaredMimetype: String,
+  detectedMimetype: String,
+  size: Number,
+  // Storage key under quarantine/
+  key: {
+    type: String,
+    required: true
+  },
+  scanner: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for review by date and by uploader
+quarantinedFileSchema.index({ createdAt: -1 });
+quarantinedFileSchema.index({ user: 1 });
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
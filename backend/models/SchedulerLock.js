@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Lease-based lock so a scheduled job runs on one backend process at a time
+const schedulerLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Job name
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Try to acquire (or renew) the lock for a job
+ * @param {string} job - Job name
+ * @param {string} owner - Unique ID of the calling process
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} True if this process holds the lock
+ */
+schedulerLockSchema.statics.acquire = async function(job, owner, ttlMs) {
+  const now = new Date();
+  
+  try {
+    await this.findOneAndUpdate(
+      { _id: job, $or: [{ lockedUntil: { $lt: now } }, { owner }] },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // Another process holds an unexpired lease, so the upsert hit the _id index
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release the lock if this process still holds it
+ * @param {string} job - Job name
+ * @param {string} owner - Unique ID of the calling process
+ */
+schedulerLockSchema.statics.release = function(job, owner) {
+  return this.updateOne({ _id: job, owner }, { lockedUntil: new Date(0) });
+};
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+  department: {
+    type: String,
+    enum: [
+      'PWD', 'Water Works', 'Electricity', 'Sanitation', 'Traffic Police',
+      'Municipal Corporation', 'Health Department', 'Education', 'Fire Department',
+      'Parks and Gardens', 'Revenue Department', 'IT Department', 'Other'
+    ],
+    required: [true, 'Department is required']
+  },
+  // null applies to every category in the department
+  category: {
+    type: String,
+    enum: [
+      'Road and Infrastructure', 'Water Supply', 'Electricity', 'Sanitation and Waste Management',
+      'Traffic and Transportation', 'Public Safety', 'Health Services', 'Education',
+      'Parks and Recreation', 'Revenue and Tax', 'Municipal Services', 'Other', null
+    ],
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    required: [true, 'Priority is required']
+  },
+  // Working hours allowed on the department's SLA calendar
+  targetHours: {
+    type: Number,
+    required: [true, 'Target hours are required'],
+    min: [0.5, 'Target must be at least 30 minutes']
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  supersedes: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlaPolicy',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for lookup and version uniqueness
+slaPolicySchema.index({ department: 1, priority: 1, category: 1, effectiveFrom: -1 });
+slaPolicySchema.index({ department: 1, category: 1, priority: 1, version: 1 }, { unique: true });
+
+// Static method to find the policy that applies to a complaint at a point in time.
+// Category-specific policies win over department-wide ones.
+slaPolicySchema.statics.findApplicable = async function({ department, category, priority }, at = new Date()) {
+  const policies = await this.find({
+    department,
+    priority,
+    category: { $in: [category, null] },
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  }).sort({ effectiveFrom: -1 });
+
+  return policies.find(policy => policy.category === category) || policies[0] || null;
+};
+
+// Static method to find an active policy for the same key whose effective
+// window overlaps the given one
+slaPolicySchema.statics.findOverlapping = function({ department, category, priority }, { effectiveFrom, effectiveTo = null }, excludeId = null) {
+  return this.findOne({
+    department,
+    category: category || null,
+    priority,
+    isActive: true,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    ...(effectiveTo && { effectiveFrom: { $lt: effectiveTo } }),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+  });
+};
+
+// Static method to get the next version number for a policy key
+slaPolicySchema.statics.nextVersion = async function({ department, category, priority }) {
+  const latest = await this.findOne({ department, category: category || null, priority })
+    .sort({ version: -1 })
+    .select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Resumable upload: chunks are stored as they arrive and assembled into an
+// attachment once the last byte is in, ready to attach to a complaint
+const uploadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  // Declared type, replaced by the detected one once assembled
+  mimetype: {
+    type: String,
+    required: true
+  },
+  // Detected kind of file (image, video, audio, document)
+  kind: {
+    type: String,
+    default: null
+  },
+  // Declared total size in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  // Stored chunks in order, by their byte offset
+  chunks: [{
+    offset: Number,
+    size: Number,
+    _id: false
+  }],
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'complete', 'attached', 'failed'],
+    default: 'uploading'
+  },
+  // Attachment record built once assembled (see imageProcessingService)
+  attachment: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attachedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Complaint',
+    default: null
+  },
+  // Pushed back on every chunk; unattached uploads are removed after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for cleanup and per-user lookups
+uploadSchema.index({ status: 1, expiresAt: 1 });
+uploadSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
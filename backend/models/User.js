@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const moment = require('moment');
+const { getSLACalendar } = require('../config/slaCalendars');
+const { isWorkingTime } = require('../utils/slaCalendar');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -52,6 +55,12 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true // Allow null values but ensure uniqueness when present
   },
+  // Designation used by the escalation chain (zonal heads, commissioner)
+  designation: {
+    type: String,
+    enum: ['department_officer', 'zonal_head', 'commissioner', null],
+    default: null
+  },
   // Citizen-specific fields
   address: {
     type: String,
@@ -88,6 +97,91 @@ const userSchema = new mongoose.Schema({
       return this.role === 'mitra';
     }
   },
+  // Last position reported by a Mitra's device
+  lastKnownLocation: {
+    latitude: {
+      type: Number,
+      default: null
+    },
+    longitude: {
+      type: Number,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Weekly shifts of a Mitra, in local time; shifts ending before they start run past midnight.
+  // Without a roster a Mitra works their department's field hours.
+  roster: [{
+    day: {
+      type: Number,
+      min: 0, // Sunday
+      max: 6,
+      required: true
+    },
+    start: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Shift start must be HH:mm'],
+      required: true
+    },
+    end: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Shift end must be HH:mm'],
+      required: true
+    }
+  }],
+  // Leave records of a Mitra
+  leaves: [{
+    type: {
+      type: String,
+      enum: ['casual', 'sick', 'earned', 'training', 'other'],
+      default: 'casual'
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Leave reason cannot exceed 500 characters'],
+      default: ''
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Duty status of a Mitra; off duty overrides the roster
+  duty: {
+    status: {
+      type: String,
+      enum: ['on_duty', 'off_duty'],
+      default: 'on_duty'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Language preference
   preferredLanguage: {
     type: String,
@@ -120,6 +214,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ role: 1, department: 1 });
+userSchema.index({ role: 1, designation: 1, zone: 1 });
 userSchema.index({ employeeId: 1 }, { sparse: true });
 
 // Virtual for full name display
@@ -176,6 +271,73 @@ userSchema.statics.getAvailableMitra = function(department) {
   }).select('name email phone employeeId');
 };
 
+// Method to find the leave covering a time
+userSchema.methods.getLeaveAt = function(at = new Date()) {
+  return (this.leaves || []).find(leave =>
+    !leave.cancelledAt && leave.startDate <= at && at <= leave.endDate
+  ) || null;
+};
+
+// Method to check whether a time falls within the Mitra's roster
+userSchema.methods.isOnShift = function(at = new Date()) {
+  const calendar = getSLACalendar(this.department);
+  
+  if (!this.roster || this.roster.length === 0) {
+    return isWorkingTime(at, calendar);
+  }
+  
+  const local = moment(at).utcOffset(calendar.utcOffsetMinutes);
+  const minutes = local.hours() * 60 + local.minutes();
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  
+  return this.roster.some(shift => {
+    const start = toMinutes(shift.start);
+    const end = toMinutes(shift.end);
+    
+    if (start < end) {
+      return shift.day === local.day() && minutes >= start && minutes < end;
+    }
+    
+    // Overnight shift: evening of its day or early morning of the next
+    return (shift.day === local.day() && minutes >= start) ||
+      (shift.day === (local.day() + 6) % 7 && minutes < end);
+  });
+};
+
+// Method to summarise a Mitra's availability. `assignable` allows
+// queueing work outside shift hours; `available` also requires being on shift.
+userSchema.methods.getAvailability = function(at = new Date()) {
+  const leave = this.getLeaveAt(at);
+  const dutyStatus = this.duty?.status || 'on_duty';
+  const onShift = this.isOnShift(at);
+  
+  let reason = null;
+  if (!this.isActive) {
+    reason = 'Inactive';
+  } else if (leave) {
+    reason = `On ${leave.type} leave until ${leave.endDate.toISOString()}`;
+  } else if (dutyStatus === 'off_duty') {
+    reason = 'Off duty';
+  }
+  
+  const assignable = !reason;
+  if (assignable && !onShift) {
+    reason = 'Off shift';
+  }
+  
+  return {
+    available: assignable && onShift,
+    assignable,
+    reason,
+    dutyStatus,
+    onShift,
+    leave
+  };
+};
+
 // Pre-remove middleware to handle cascading deletes
 userSchema.pre('remove', async function(next) {
   try {
@@ -24,6 +24,15 @@ router.get('/sla', analyticsController.getSLAAnalytics);
 // Citizen satisfaction analytics
 router.get('/satisfaction', analyticsController.getSatisfactionAnalytics);
 
+// AI classification override analytics
+router.get('/overrides', authorize('officer', 'admin'), analyticsController.getOverrideAnalytics);
+
+// On-hold analytics
+router.get('/holds', authorize('officer', 'admin'), analyticsController.getHoldAnalytics);
+
+// Reopen analytics
+router.get('/reopens', authorize('officer', 'admin'), analyticsController.getReopenAnalytics);
+
 // Real-time statistics
 router.get('/realtime', analyticsController.getRealtimeStats);
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
+const mitraController = require('../controllers/mitraController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -79,6 +80,6 @@ router.put('/users/:id', protect, authorize('admin'), authController.updateUser)
 router.delete('/users/:id', protect, authorize('admin'), authController.deleteUser);
 
 // Get users by department (for officers to see available mitra)
-router.get('/department/:dept/mitra', protect, authorize('officer', 'admin'), authController.getDepartmentMitra);
+router.get('/department/:dept/mitra', protect, authorize('officer', 'admin'), mitraController.getDepartmentMitra);
 
 module.exports = router;
\ No newline at end of file
@@ -1,29 +1,26 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const complaintController = require('../controllers/complaintController');
+const attachmentController = require('../controllers/attachmentController');
+const commentController = require('../controllers/commentController');
+const { PROOF_FIELDS } = require('../config/proofPolicies');
 const { protect, authorize, authorizeDepartment, authorizeComplaintAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/complaints/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+// Configure multer for file uploads. Files are kept in memory and written
+// to the storage backend (storageService) once processed.
+const storage = multer.memoryStorage();
 
 const fileFilter = (req, file, cb) => {
-  // Allow images and videos
-  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+  // Quick check of the declared type; the contents are verified against
+  // what each field accepts by fileScanService
+  if (['image/', 'video/', 'audio/'].some(prefix => file.mimetype.startsWith(prefix)) ||
+      file.mimetype === 'application/pdf') {
     cb(null, true);
   } else {
-    cb(new Error('Only image and video files are allowed!'), false);
+    cb(new Error('Only image, video, audio and PDF files are allowed!'), false);
   }
 };
 
@@ -60,17 +57,45 @@ const createComplaintValidation = [
   body('location.coordinates.longitude')
     .optional()
     .isFloat({ min: -180, max: 180 })
-    .withMessage('Invalid longitude')
+    .withMessage('Invalid longitude'),
+  body('uploadIds')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Up to 5 uploads can be attached'),
+  body('uploadIds.*')
+    .isMongoId()
+    .withMessage('Invalid upload ID')
 ];
 
 const updateStatusValidation = [
   body('status')
-    .isIn(['assigned', 'in_progress', 'resolved', 'rejected', 'escalated'])
+    .isIn(['assigned', 'in_progress', 'on_hold', 'resolved', 'rejected', 'escalated'])
     .withMessage('Invalid status'),
   body('remarks')
     .trim()
     .notEmpty()
-    .withMessage('Remarks are required when updating status')
+    .withMessage('Remarks are required when updating status'),
+  body('holdReason')
+    .if(body('status').equals('on_hold'))
+    .isIn(['awaiting_citizen', 'awaiting_other_agency', 'awaiting_material', 'other'])
+    .withMessage('A valid hold reason is required when putting a complaint on hold'),
+  body('resumeAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid resume date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Resume date must be in the future'),
+  body('proofUploads')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Up to 5 uploads can be attached as proof'),
+  body('proofUploads.*.uploadId')
+    .isMongoId()
+    .withMessage('Invalid upload ID'),
+  body('proofUploads.*.slot')
+    .optional()
+    .isIn(['before', 'after', 'document'])
+    .withMessage('Proof slot must be before, after or document')
 ];
 
 const assignMitraValidation = [
@@ -82,6 +107,136 @@ const assignMitraValidation = [
     .trim()
 ];
 
+const transferValidation = [
+  body('department')
+    .isIn([
+      'PWD', 'Water Works', 'Electricity', 'Sanitation', 'Traffic Police',
+      'Municipal Corporation', 'Health Department', 'Education', 'Fire Department',
+      'Parks and Gardens', 'Revenue Department', 'IT Department', 'Other'
+    ])
+    .withMessage('Valid department is required'),
+  body('category')
+    .optional()
+    .isIn([
+      'Road and Infrastructure', 'Water Supply', 'Electricity', 'Sanitation and Waste Management',
+      'Traffic and Transportation', 'Public Safety', 'Health Services', 'Education',
+      'Parks and Recreation', 'Revenue and Tax', 'Municipal Services', 'Other'
+    ])
+    .withMessage('Invalid category'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Transfer reason must be between 5 and 500 characters')
+];
+
+const classificationValidation = [
+  body('category')
+    .optional()
+    .isIn([
+      'Road and Infrastructure', 'Water Supply', 'Electricity', 'Sanitation and Waste Management',
+      'Traffic and Transportation', 'Public Safety', 'Health Services', 'Education',
+      'Parks and Recreation', 'Revenue and Tax', 'Municipal Services', 'Other'
+    ])
+    .withMessage('Invalid category'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Invalid priority'),
+  body()
+    .custom(value => Boolean(value.category || value.priority))
+    .withMessage('Category or priority is required'),
+  body('justification')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Justification must be between 5 and 500 characters')
+];
+
+const bulkAssignValidation = [
+  body('assignments')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Assignments must be a list of 1 to 500 items'),
+  body('assignments.*.complaintId')
+    .isMongoId()
+    .withMessage('Valid complaint ID is required'),
+  body('assignments.*.mitraId')
+    .isMongoId()
+    .withMessage('Valid Mitra ID is required'),
+  body('remarks')
+    .optional()
+    .trim()
+];
+
+const siteVisitValidation = [
+  body('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Valid latitude is required'),
+  body('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Valid longitude is required'),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters')
+];
+
+const mergeValidation = [
+  body('duplicateIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Duplicate IDs must be a list of 1 to 50 items'),
+  body('duplicateIds.*')
+    .isMongoId()
+    .withMessage('Valid complaint ID is required'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot exceed 500 characters')
+];
+
+const bulkStatusValidation = [
+  body('complaintIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Complaint IDs must be a list of 1 to 500 items'),
+  body('complaintIds.*')
+    .isMongoId()
+    .withMessage('Valid complaint ID is required'),
+  // Resolving needs proof files per complaint, so it is done one at a time
+  body('status')
+    .isIn(['assigned', 'in_progress', 'rejected'])
+    .withMessage('Invalid status for bulk update (complaints are resolved one at a time, with proof)'),
+  body('remarks')
+    .trim()
+    .notEmpty()
+    .withMessage('Remarks are required when updating status')
+];
+
+const attachmentValidation = [
+  query('variant')
+    .optional()
+    .isIn(['thumbnail', 'web'])
+    .withMessage('Variant must be thumbnail or web')
+];
+
+const remarkValidation = [
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Remark text is required')
+];
+
+const commentValidation = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters')
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Valid comment ID is required')
+];
+
 const feedbackValidation = [
   body('rating')
     .isInt({ min: 1, max: 5 })
@@ -113,6 +268,9 @@ router.post('/',
 // Get complaints (role-based filtering)
 router.get('/', complaintController.getComplaints);
 
+// Look up a complaint by its human-readable ID (with access control)
+router.get('/lookup/:complaintNumber', authorizeComplaintAccess, complaintController.getComplaint);
+
 // Get single complaint (with access control)
 router.get('/:id', authorizeComplaintAccess, complaintController.getComplaint);
 
@@ -120,8 +278,13 @@ router.get('/:id', authorizeComplaintAccess, complaintController.getComplaint);
 router.put('/:id/status', 
   authorize('officer', 'mitra', 'admin'), 
   authorizeComplaintAccess,
+  upload.fields([
+    { name: PROOF_FIELDS.before, maxCount: 3 },
+    { name: PROOF_FIELDS.after, maxCount: 3 },
+    { name: PROOF_FIELDS.document, maxCount: 2 },
+    { name: 'proofAttachments', maxCount: 3 }
+  ]),
   updateStatusValidation,
-  upload.array('proofAttachments', 3),
   complaintController.updateComplaintStatus
 );
 
@@ -133,13 +296,58 @@ router.put('/:id/assign',
   complaintController.assignComplaintToMitra
 );
 
-// Add remark to complaint
+// Assign the best available Mitra automatically (Officers and Admin only)
+router.put('/:id/auto-assign', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  complaintController.autoAssignComplaint
+);
+
+// Rank Mitras for assignment (Officers and Admin only)
+router.get('/:id/assignment-candidates', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  complaintController.getAssignmentCandidates
+);
+
+// Site check-in and check-out (Mitra only)
+router.post('/:id/check-in', 
+  authorize('mitra'), 
+  authorizeComplaintAccess,
+  siteVisitValidation,
+  complaintController.checkInAtSite
+);
+
+router.post('/:id/check-out', 
+  authorize('mitra'), 
+  authorizeComplaintAccess,
+  siteVisitValidation,
+  complaintController.checkOutFromSite
+);
+
+// Add remark to complaint (internal notes for staff only)
 router.post('/:id/remarks', 
   authorizeComplaintAccess,
-  body('text').trim().notEmpty().withMessage('Remark text is required'),
+  remarkValidation,
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false').toBoolean(),
   complaintController.addRemark
 );
 
+// Internal note, never shown to citizens (Staff only)
+router.post('/:id/notes', 
+  authorize('officer', 'mitra', 'admin'), 
+  authorizeComplaintAccess,
+  remarkValidation,
+  complaintController.addInternalNote
+);
+
+// Public update, shown to the citizen
+router.post('/:id/updates', 
+  authorizeComplaintAccess,
+  remarkValidation,
+  complaintController.addPublicUpdate
+);
+
 // Citizen feedback (Citizens only)
 router.post('/:id/feedback', 
   authorize('citizen'), 
@@ -164,6 +372,89 @@ router.put('/:id/reopen',
   complaintController.reopenComplaint
 );
 
+// Transfer misclassified complaint to another department (Officers and Admin only)
+router.put('/:id/transfer', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  transferValidation,
+  complaintController.transferComplaint
+);
+
+// Override AI classification (Officers and Admin only)
+router.put('/:id/classification', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  classificationValidation,
+  complaintController.overrideClassification
+);
+
+// Merge duplicate complaints into this one (Officers and Admin only)
+router.put('/:id/merge', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  mergeValidation,
+  complaintController.mergeComplaints
+);
+
+// Attachment download log (Officers and Admin only)
+router.get('/:id/attachments/access-log', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  attachmentController.getAttachmentAccessLog
+);
+
+// Download an attachment (with access control)
+router.get('/:id/attachments/:attachmentId', 
+  authorizeComplaintAccess,
+  attachmentValidation,
+  attachmentController.getAttachment
+);
+
+// Short-lived link to an attachment, e.g. for <img> tags (with access control)
+router.get('/:id/attachments/:attachmentId/signed-url', 
+  authorizeComplaintAccess,
+  attachmentValidation,
+  attachmentController.getAttachmentSignedUrl
+);
+
+// Threaded staff discussion with @mentions (Staff only)
+router.get('/:id/comments', 
+  authorize('officer', 'mitra', 'admin'), 
+  authorizeComplaintAccess,
+  commentController.getComments
+);
+
+router.post('/:id/comments', 
+  authorize('officer', 'mitra', 'admin'), 
+  authorizeComplaintAccess,
+  commentValidation,
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Valid parent comment ID is required'),
+  commentController.addComment
+);
+
+router.put('/:id/comments/:commentId', 
+  authorize('officer', 'mitra', 'admin'), 
+  authorizeComplaintAccess,
+  commentIdValidation,
+  commentValidation,
+  commentController.updateComment
+);
+
+router.delete('/:id/comments/:commentId', 
+  authorize('officer', 'mitra', 'admin'), 
+  authorizeComplaintAccess,
+  commentIdValidation,
+  commentController.deleteComment
+);
+
+// Comment edit and delete history (Officers and Admin only)
+router.get('/:id/comments/:commentId/history', 
+  authorize('officer', 'admin'), 
+  authorizeComplaintAccess,
+  commentIdValidation,
+  commentController.getCommentHistory
+);
+
 // Department-specific routes
 router.get('/department/:dept', 
   authorizeDepartment, 
@@ -180,11 +471,13 @@ router.delete('/:id',
 // Bulk operations (Admin only)
 router.post('/bulk/assign', 
   authorize('admin'),
+  bulkAssignValidation,
   complaintController.bulkAssign
 );
 
 router.post('/bulk/status', 
   authorize('admin'),
+  bulkStatusValidation,
   complaintController.bulkStatusUpdate
 );
 
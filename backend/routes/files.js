@@ -0,0 +1,9 @@
+const express = require('express');
+const attachmentController = require('../controllers/attachmentController');
+
+const router = express.Router();
+
+// Download an attachment through a signed URL (the token is the authorization)
+router.get('/:token', attachmentController.getSignedAttachment);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { body } = require('express-validator');
+const mitraController = require('../controllers/mitraController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const rosterValidation = [
+  body('roster')
+    .isArray({ max: 21 })
+    .withMessage('Roster must be a list of up to 21 shifts'),
+  body('roster.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Shift day must be 0 (Sunday) to 6 (Saturday)'),
+  body('roster.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Shift start must be HH:mm'),
+  body('roster.*.end')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Shift end must be HH:mm')
+];
+
+const leaveValidation = [
+  body('type')
+    .optional()
+    .isIn(['casual', 'sick', 'earned', 'training', 'other'])
+    .withMessage('Invalid leave type'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const dutyValidation = [
+  body('status')
+    .isIn(['on_duty', 'off_duty'])
+    .withMessage('Status must be on_duty or off_duty')
+];
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', authorize('officer', 'admin'), mitraController.getDepartmentMitra);
+router.get('/reassignment', authorize('officer', 'admin'), mitraController.getReassignmentQueue);
+
+router.get('/:id', authorize('officer', 'admin', 'mitra'), mitraController.getMitraSchedule);
+router.put('/:id/roster', authorize('officer', 'admin'), rosterValidation, mitraController.updateRoster);
+router.post('/:id/leaves', authorize('officer', 'admin'), leaveValidation, mitraController.addLeave);
+router.delete('/:id/leaves/:leaveId', authorize('officer', 'admin'), mitraController.cancelLeave);
+router.put('/:id/duty', authorize('officer', 'admin', 'mitra'), dutyValidation, mitraController.updateDutyStatus);
+
+module.exports = router;
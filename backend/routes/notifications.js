@@ -1,27 +1,43 @@
 const express = require('express');
+const { param, query } = require('express-validator');
+const notificationController = require('../controllers/notificationController');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Validation middleware
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Unread must be true or false')
+];
+
+const notificationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid notification ID is required')
+];
+
 // All routes require authentication
 router.use(protect);
 
 // Get user notifications
-router.get('/', (req, res) => {
-  res.status(200).json({
-    success: true,
-    data: [],
-    message: 'Notifications feature coming soon'
-  });
-});
+router.get('/', listValidation, notificationController.getNotifications);
 
-// Mark notification as read
-router.put('/:id/read', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Notification marked as read'
-  });
-});
+// Get unread notification count
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Mark all notifications as read
+router.put('/read-all', notificationController.markAllAsRead);
 
 // Get notification preferences
 router.get('/preferences', (req, res) => {
@@ -43,4 +59,10 @@ router.put('/preferences', (req, res) => {
   });
 });
 
-module.exports = router;
\ No newline at end of file
+// Mark notification as read
+router.put('/:id/read', notificationIdValidation, notificationController.markAsRead);
+
+// Delete notification
+router.delete('/:id', notificationIdValidation, notificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body } = require('express-validator');
+const slaPolicyController = require('../controllers/slaPolicyController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const createSlaPolicyValidation = [
+  body('department')
+    .isIn([
+      'PWD', 'Water Works', 'Electricity', 'Sanitation', 'Traffic Police',
+      'Municipal Corporation', 'Health Department', 'Education', 'Fire Department',
+      'Parks and Gardens', 'Revenue Department', 'IT Department', 'Other'
+    ])
+    .withMessage('Valid department is required'),
+  body('category')
+    .optional({ nullable: true })
+    .isIn([
+      'Road and Infrastructure', 'Water Supply', 'Electricity', 'Sanitation and Waste Management',
+      'Traffic and Transportation', 'Public Safety', 'Health Services', 'Education',
+      'Parks and Recreation', 'Revenue and Tax', 'Municipal Services', 'Other'
+    ])
+    .withMessage('Invalid category'),
+  body('priority')
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Valid priority is required'),
+  body('targetHours')
+    .isFloat({ min: 0.5 })
+    .withMessage('Target hours must be at least 0.5'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid effective from date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid effective to date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const updateSlaPolicyValidation = [
+  body('targetHours')
+    .optional()
+    .isFloat({ min: 0.5 })
+    .withMessage('Target hours must be at least 0.5'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid effective from date'),
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid effective to date'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// All routes require an authenticated admin
+router.use(protect);
+router.use(authorize('admin'));
+
+router.route('/')
+  .get(slaPolicyController.getSlaPolicies)
+  .post(createSlaPolicyValidation, slaPolicyController.createSlaPolicy);
+
+router.route('/:id')
+  .get(slaPolicyController.getSlaPolicy)
+  .put(updateSlaPolicyValidation, slaPolicyController.updateSlaPolicy)
+  .delete(slaPolicyController.deleteSlaPolicy);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const uploadController = require('../controllers/uploadController');
+const uploadService = require('../services/uploadService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const createUploadValidation = [
+  body('originalName')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name is required'),
+  body('mimetype')
+    .trim()
+    .matches(/^[\w.+-]+\/[\w.+-]+$/)
+    .withMessage('Valid MIME type is required'),
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('File size in bytes is required')
+];
+
+const chunkValidation = [
+  query('offset')
+    .isInt({ min: 0 })
+    .withMessage('Chunk offset in bytes is required')
+];
+
+// All routes require authentication
+router.use(protect);
+
+// Start a resumable upload
+router.post('/', createUploadValidation, uploadController.createUpload);
+
+// Get upload progress (to resume)
+router.get('/:id', uploadController.getUpload);
+
+// Upload the next chunk as raw bytes
+router.put('/:id/chunks', 
+  express.raw({ type: () => true, limit: uploadService.chunkSize }),
+  chunkValidation,
+  uploadController.uploadChunk
+);
+
+// Cancel an upload
+router.delete('/:id', uploadController.cancelUpload);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
@@ -23,4 +26,40 @@ router.put('/profile', (req, res) => {
   });
 });
 
+// Report the current device position (Mitra only), used for auto-assignment
+router.put('/location',
+  authorize('mitra'),
+  [
+    body('latitude')
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Valid latitude is required'),
+    body('longitude')
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Valid longitude is required')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const lastKnownLocation = {
+      latitude: parseFloat(req.body.latitude),
+      longitude: parseFloat(req.body.longitude),
+      updatedAt: new Date()
+    };
+
+    await User.updateOne({ _id: req.user.id }, { lastKnownLocation });
+
+    res.status(200).json({
+      success: true,
+      data: lastKnownLocation
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Complaint = require('../models/Complaint');
+const storageService = require('../services/storageService');
+
+// Usage: node scripts/migrateStorage.js --from local --to s3 [--dry-run] [--delete-source]
+// Both backends default to STORAGE_DRIVER; with the same backend on both
+// sides only records still holding a filesystem path are rewritten.
+const parseArgs = (argv) => {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  return {
+    from: valueOf('--from') || storageService.driverName,
+    to: valueOf('--to') || storageService.driverName,
+    dryRun: argv.includes('--dry-run'),
+    deleteSource: argv.includes('--delete-source')
+  };
+};
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/i-mitra');
+    console.log('✅ MongoDB connected for storage migration');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+/**
+ * Storage key of an attachment or variant record. Records saved before
+ * storage backends existed hold a path relative to the backend directory
+ * (uploads/complaints/...) instead.
+ * @param {Object} record - Attachment or variant record
+ * @returns {string|null} Storage key
+ */
+const keyOf = (record) => {
+  if (record.key) return record.key;
+  if (!record.path) return null;
+  return record.path.split('\\').join('/').replace(/^\.?\/?uploads\//, '');
+};
+
+/**
+ * Rewrite an attachment record in place to use storage keys
+ * @param {Object} attachment - Raw attachment record
+ * @returns {Array} Files to copy ({ key, mimetype })
+ */
+const rewriteAttachment = (attachment) => {
+  const files = [];
+
+  const key = keyOf(attachment);
+  if (key) {
+    attachment.key = key;
+    files.push({ key, mimetype: attachment.mimetype });
+  }
+  delete attachment.path;
+
+  Object.values(attachment.variants || {}).forEach(variant => {
+    const variantKey = keyOf(variant);
+    if (variantKey) {
+      variant.key = variantKey;
+      files.push({ key: variantKey, mimetype: 'image/jpeg' });
+    }
+    delete variant.path;
+    delete variant.url;
+  });
+
+  return files;
+};
+
+const migrateStorage = async ({ from, to, dryRun, deleteSource }) => {
+  const source = storageService.createDriver(from);
+  const target = storageService.createDriver(to);
+  const copying = from !== to;
+
+  const summary = { complaints: 0, copied: 0, skipped: 0, missing: 0, deleted: 0 };
+  const copiedKeys = new Set();
+  const missingKeys = new Set();
+  const deletedKeys = new Set();
+
+  console.log(`📦 Migrating attachments from ${from} to ${to}${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    // Raw documents, so legacy fields are visible and nothing else is touched
+    const cursor = Complaint.collection.find({
+      $or: [
+        { 'attachments.0': { $exists: true } },
+        { 'timeline.attachments.0': { $exists: true } },
+        { 'resolution.proofAttachments.0': { $exists: true } }
+      ]
+    });
+
+    for await (const complaint of cursor) {
+      const attachments = complaint.attachments || [];
+      const timeline = complaint.timeline || [];
+      const proofAttachments = complaint.resolution?.proofAttachments || [];
+
+      const files = [
+        ...attachments,
+        ...timeline.flatMap(entry => entry.attachments || []),
+        ...proofAttachments
+      ].flatMap(rewriteAttachment);
+
+      if (copying) {
+        for (const { key, mimetype } of files) {
+          if (copiedKeys.has(key) || missingKeys.has(key)) continue;
+
+          if (!(await source.exists(key))) {
+            console.warn(`⚠️  ${complaint.complaintId}: ${key} not found in ${from}`);
+            missingKeys.add(key);
+            summary.missing++;
+            continue;
+          }
+
+          if (await target.exists(key)) {
+            summary.skipped++;
+          } else {
+            if (!dryRun) {
+              await target.put(key, await source.get(key), mimetype);
+            }
+            summary.copied++;
+          }
+          copiedKeys.add(key);
+        }
+      }
+
+      if (!dryRun) {
+        const update = { attachments, timeline };
+        if (complaint.resolution?.proofAttachments) {
+          update['resolution.proofAttachments'] = proofAttachments;
+        }
+        await Complaint.collection.updateOne({ _id: complaint._id }, { $set: update });
+
+        // Only remove originals once the complaint points at the copies
+        if (copying && deleteSource) {
+          for (const { key } of files) {
+            if (!copiedKeys.has(key) || deletedKeys.has(key)) continue;
+            await source.remove(key);
+            deletedKeys.add(key);
+            summary.deleted++;
+          }
+        }
+      }
+
+      summary.complaints++;
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`  Complaints updated: ${summary.complaints}`);
+    console.log(`  Files copied: ${summary.copied}`);
+    console.log(`  Already in ${to}: ${summary.skipped}`);
+    console.log(`  Missing from ${from}: ${summary.missing}`);
+    if (deleteSource) {
+      console.log(`  Deleted from ${from}: ${summary.deleted}`);
+    }
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  connectDB().then(() => migrateStorage(parseArgs(process.argv.slice(2))));
+}
+
+module.exports = migrateStorage;
@@ -29,6 +29,7 @@ const sampleUsers = [
     phone: '9999999999',
     password: 'admin123',
     role: 'admin',
+    designation: 'commissioner',
     isPhoneVerified: true,
     isEmailVerified: true
   },
@@ -74,6 +75,7 @@ const sampleUsers = [
     role: 'officer',
     department: 'PWD',
     employeeId: 'PWD001',
+    designation: 'department_officer',
     isPhoneVerified: true
   },
   {
@@ -84,6 +86,7 @@ const sampleUsers = [
     role: 'officer',
     department: 'Water Works',
     employeeId: 'WW001',
+    designation: 'department_officer',
     isPhoneVerified: true
   },
   {
@@ -94,6 +97,7 @@ const sampleUsers = [
     role: 'officer',
     department: 'Electricity',
     employeeId: 'ELE001',
+    designation: 'department_officer',
     isPhoneVerified: true
   },
   {
@@ -104,6 +108,20 @@ const sampleUsers = [
     role: 'officer',
     department: 'Sanitation',
     employeeId: 'SAN001',
+    designation: 'department_officer',
+    isPhoneVerified: true
+  },
+  
+  {
+    name: 'Mr. Anil Tiwari',
+    email: 'anil.tiwari@imc.gov.in',
+    phone: '9876543224',
+    password: 'officer123',
+    role: 'officer',
+    department: 'Municipal Corporation',
+    employeeId: 'IMC-ZH001',
+    designation: 'zonal_head',
+    zone: 'Zone 1',
     isPhoneVerified: true
   },
   
@@ -116,6 +134,7 @@ const sampleUsers = [
     role: 'mitra',
     department: 'PWD',
     employeeId: 'PWD-M001',
+    zone: 'Zone 1',
     isPhoneVerified: true
   },
   {
@@ -126,6 +145,7 @@ const sampleUsers = [
     role: 'mitra',
     department: 'Water Works',
     employeeId: 'WW-M001',
+    zone: 'Zone 2',
     isPhoneVerified: true
   },
   {
@@ -136,6 +156,7 @@ const sampleUsers = [
     role: 'mitra',
     department: 'Electricity',
     employeeId: 'ELE-M001',
+    zone: 'Zone 3',
     isPhoneVerified: true
   },
   {
@@ -146,6 +167,7 @@ const sampleUsers = [
     role: 'mitra',
     department: 'Sanitation',
     employeeId: 'SAN-M001',
+    zone: 'Zone 4',
     isPhoneVerified: true
   }
 ];
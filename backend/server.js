@@ -5,7 +5,6 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
 const socketIo = require('socket.io');
-const path = require('path');
 require('dotenv').config();
 
 // Import routes
@@ -14,11 +13,22 @@ const complaintRoutes = require('./routes/complaints');
 const userRoutes = require('./routes/users');
 const analyticsRoutes = require('./routes/analytics');
 const notificationRoutes = require('./routes/notifications');
+const slaPolicyRoutes = require('./routes/slaPolicies');
+const mitraRoutes = require('./routes/mitras');
+const fileRoutes = require('./routes/files');
+const uploadRoutes = require('./routes/uploads');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { socketAuth } = require('./middleware/socketAuth');
 
+// Import models
+const Complaint = require('./models/Complaint');
+
+// Import background jobs
+const slaMonitorService = require('./services/slaMonitorService');
+const uploadService = require('./services/uploadService');
+
 const app = express();
 const server = http.createServer(app);
 
@@ -57,15 +67,16 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/complaints', complaintRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/mitras', mitraRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -100,8 +111,12 @@ io.on('connection', (socket) => {
   
   // Handle complaint status updates
   socket.on('complaint_update', (data) => {
-    // Broadcast to relevant users based on complaint and user roles
-    socket.to(`role_citizen`).emit('complaint_updated', data);
+    // Broadcast to relevant users based on complaint and user roles;
+    // citizens never receive internal notes
+    const citizenData = Array.isArray(data.remarks)
+      ? { ...data, remarks: Complaint.getVisibleRemarks(data.remarks, 'citizen') }
+      : data;
+    socket.to(`role_citizen`).emit('complaint_updated', citizenData);
     socket.to(`role_admin`).emit('complaint_updated', data);
     if (data.department) {
       socket.to(`dept_${data.department}`).emit('complaint_updated', data);
@@ -127,6 +142,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/i-mitra',
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  
+  // Background jobs (safe to run on every instance)
+  slaMonitorService.start(io);
+  uploadService.start();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -144,6 +163,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  slaMonitorService.stop();
+  uploadService.stop();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -1,4 +1,5 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ClassificationFeedback = require('../models/ClassificationFeedback');
 
 class AIClassificationService {
   constructor() {
@@ -81,6 +82,9 @@ class AIClassificationService {
       'tax': { category: 'Revenue and Tax', priority: 'low' },
       'property': { category: 'Revenue and Tax', priority: 'low' }
     };
+    
+    // Number of recent officer corrections shown to the model as examples
+    this.feedbackExampleCount = parseInt(process.env.AI_FEEDBACK_EXAMPLES, 10) || 5;
   }
   
   /**
@@ -111,6 +115,8 @@ class AIClassificationService {
    * @returns {Promise<Object>} AI classification result
    */
   async aiClassification(title, description) {
+    const corrections = await this.getCorrectionExamples();
+    
     const prompt = `
     You are an AI system for the Indore Smart City grievance management platform. 
     Analyze the following complaint and classify it into the appropriate category, department, and priority level.
@@ -125,7 +131,7 @@ class AIClassificationService {
     ${this.departments.join(', ')}
     
     Priority Levels: critical, high, medium, low
-    
+    ${corrections}
     Priority Guidelines:
     - critical: Life-threatening emergencies, major infrastructure failures
     - high: Urgent issues affecting daily life, utility disruptions
@@ -281,6 +287,69 @@ class AIClassificationService {
     return keywords;
   }
   
+  /**
+   * Save an officer's correction of a complaint's classification as labeled feedback
+   * @param {Object} complaint - Complaint document (classification before the correction)
+   * @param {Object} corrected - Corrected classification ({ category, department, priority })
+   * @param {Object} details - Correction details
+   * @param {string} details.type - Kind of correction (e.g. department_transfer)
+   * @param {string} details.reason - Why the classification was wrong
+   * @param {string} details.correctedBy - ID of the user correcting
+   * @returns {Promise<Object>} Feedback document
+   */
+  async recordFeedback(complaint, corrected, { type, reason, correctedBy }) {
+    const { category, department, priority, confidence, keywords } = complaint.aiClassification;
+    
+    return ClassificationFeedback.create({
+      complaint: complaint._id,
+      complaintId: complaint.complaintId,
+      title: complaint.title,
+      description: complaint.description,
+      keywords,
+      type,
+      predicted: { category, department, priority },
+      confidence,
+      corrected: {
+        category: corrected.category || category,
+        department: corrected.department || department,
+        priority: corrected.priority || priority
+      },
+      reason,
+      correctedBy
+    });
+  }
+  
+  /**
+   * Build the prompt section listing recent officer corrections
+   * @returns {Promise<string>} Prompt text, empty if there are none
+   */
+  async getCorrectionExamples() {
+    try {
+      const feedback = await ClassificationFeedback.find()
+        .sort({ createdAt: -1 })
+        .limit(this.feedbackExampleCount)
+        .select('title predicted corrected')
+        .lean();
+      
+      if (feedback.length === 0) {
+        return '';
+      }
+      
+      const examples = feedback.map(item =>
+        `- "${item.title}": classified as ${item.predicted.category} / ${item.predicted.department}, ` +
+        `corrected to ${item.corrected.category} / ${item.corrected.department}`
+      );
+      
+      return `
+    Recent corrections by municipal officers (avoid repeating these mistakes):
+    ${examples.join('\n    ')}
+    `;
+    } catch (error) {
+      console.error('❌ Failed to load classification feedback:', error);
+      return '';
+    }
+  }
+  
   /**
    * Get classification statistics
    * @returns {Object} Service statistics
@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const AttachmentAccess = require('../models/AttachmentAccess');
+const storageService = require('./storageService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Audience of signed attachment tokens, so they can't be used as login tokens
+const TOKEN_AUDIENCE = 'attachment';
+
+class AttachmentAccessService {
+  constructor() {
+    this.signedUrlTtlMinutes = parseInt(process.env.ATTACHMENT_URL_TTL_MINUTES, 10) || 15;
+  }
+
+  /**
+   * Secret signed attachment URLs are signed with
+   * @returns {string} Secret
+   */
+  getSecret() {
+    return process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Find an attachment anywhere on a complaint: evidence, timeline entries
+   * or resolution proof
+   * @param {Object} complaint - Complaint document
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Object} Attachment
+   */
+  findAttachment(complaint, attachmentId) {
+    const attachment = [
+      ...complaint.attachments,
+      ...complaint.timeline.flatMap(entry => entry.attachments),
+      ...(complaint.resolution?.proofAttachments || [])
+    ].find(candidate => candidate._id.toString() === attachmentId.toString());
+
+    if (!attachment || !attachment.key) {
+      throw new ErrorResponse('Attachment not found', 404);
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Storage key and type of an attachment or one of its image variants
+   * @param {Object} attachment - Attachment
+   * @param {string} [variant] - 'thumbnail' or 'web'
+   * @returns {Object} { key, mimetype }
+   */
+  getFile(attachment, variant) {
+    if (!variant) {
+      return { key: attachment.key, mimetype: attachment.mimetype };
+    }
+
+    const resized = attachment.variants?.[variant];
+    if (!resized?.key) {
+      throw new ErrorResponse(`Attachment has no ${variant} variant`, 404);
+    }
+
+    return { key: resized.key, mimetype: 'image/jpeg' };
+  }
+
+  /**
+   * Issue a short-lived URL that downloads an attachment without an
+   * Authorization header (e.g. for <img> tags). The caller must already
+   * have checked the user's access to the complaint.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} attachment - Attachment
+   * @param {string} [variant] - 'thumbnail' or 'web'
+   * @param {Object} user - User the URL is issued to
+   * @returns {Object} { url, expiresAt }
+   */
+  sign(complaint, attachment, variant, user) {
+    const token = jwt.sign(
+      {
+        complaint: complaint._id.toString(),
+        attachment: attachment._id.toString(),
+        variant: variant || null,
+        user: user._id.toString()
+      },
+      this.getSecret(),
+      { audience: TOKEN_AUDIENCE, expiresIn: `${this.signedUrlTtlMinutes}m` }
+    );
+
+    return {
+      url: `/api/files/${token}`,
+      expiresAt: new Date(Date.now() + this.signedUrlTtlMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * Check a signed URL token
+   * @param {string} token - Token from the URL
+   * @returns {Object} { complaint, attachment, variant, user }
+   */
+  verify(token) {
+    try {
+      return jwt.verify(token, this.getSecret(), { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      throw new ErrorResponse('Attachment link is invalid or has expired', 403);
+    }
+  }
+
+  /**
+   * Pick the byte range to send from the request's Range header. Anything
+   * but a single byte range is ignored and the whole file sent.
+   * @param {Object} req - Express request
+   * @param {number} size - File size
+   * @returns {Object|null} { start, end }, or null for the whole file
+   */
+  getRange(req, size) {
+    const ranges = req.range(size, { combine: true });
+
+    if (ranges === -1) {
+      throw new ErrorResponse('Requested range not satisfiable', 416);
+    }
+
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+      return null;
+    }
+
+    return ranges[0];
+  }
+
+  /**
+   * Record a download and stream the file, or the byte range asked for
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} access - { complaint, attachment, variant, user, via }
+   * @returns {Promise<void>}
+   */
+  async send(req, res, { complaint, attachment, variant, user, via }) {
+    const { key, mimetype } = this.getFile(attachment, variant);
+
+    const stat = await storageService.stat(key);
+    if (!stat) {
+      throw new ErrorResponse('Attachment file is missing', 404);
+    }
+
+    res.set('Accept-Ranges', 'bytes');
+
+    let range;
+    try {
+      range = this.getRange(req, stat.size);
+    } catch (error) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      throw error;
+    }
+
+    // Players fetch media in many ranges; log the download once, on the
+    // request for its first byte
+    if (!range || range.start === 0) {
+      try {
+        await AttachmentAccess.create({
+          complaint: complaint._id,
+          attachment: attachment._id,
+          key,
+          variant: variant || null,
+          user,
+          via,
+          ip: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      } catch (error) {
+        console.error('Attachment access log failed:', error);
+      }
+    }
+
+    const stream = await storageService.createReadStream(key, range || undefined);
+
+    if (req.query.download === 'true') {
+      res.attachment(attachment.originalName || attachment.filename);
+    }
+
+    res.set({
+      'Content-Type': mimetype || 'application/octet-stream',
+      'Content-Length': range ? range.end - range.start + 1 : stat.size,
+      'Cache-Control': 'private, max-age=300',
+      // Let the frontend embed files served from the API origin, but never
+      // run anything a file contains
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+
+    if (range) {
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      res.status(206);
+    } else {
+      res.status(200);
+    }
+
+    stream.on('error', (error) => {
+      console.error(`Streaming ${key} failed:`, error);
+      res.destroy();
+    });
+    stream.pipe(res);
+  }
+}
+
+// Export singleton instance
+module.exports = new AttachmentAccessService();
@@ -0,0 +1,180 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { getZoneCenter } = require('../config/zones');
+const { toPoint, distanceMeters } = require('../utils/geo');
+
+// Statuses in which a complaint keeps its Mitra busy
+const ACTIVE_STATUSES = ['new', 'assigned', 'in_progress', 'on_hold', 'escalated'];
+
+const PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3, critical: 4 };
+
+// Share of each factor in a candidate's score
+const SCORE_WEIGHTS = { workload: 0.4, priorityMix: 0.2, proximity: 0.4 };
+
+// Officer overrides take precedence over the AI priority
+const EFFECTIVE_PRIORITY = { $ifNull: ['$manualClassification.priority', '$aiClassification.priority'] };
+
+class AutoAssignmentService {
+  constructor() {
+    this.maxOpenComplaints = parseInt(process.env.AUTO_ASSIGN_MAX_OPEN, 10) || 10;
+    this.maxDistanceMeters = (parseFloat(process.env.AUTO_ASSIGN_MAX_DISTANCE_KM) || 15) * 1000;
+    this.locationMaxAgeHours = 12;
+  }
+
+  /**
+   * Whether new complaints are assigned automatically when filed
+   * @returns {boolean} True if enabled
+   */
+  isEnabledOnCreate() {
+    return process.env.AUTO_ASSIGN_ON_CREATE === 'true';
+  }
+
+  /**
+   * Get where a Mitra is likely to be: the last reported position while
+   * fresh, otherwise the centre of their home zone
+   * @param {Object} mitra - Mitra user document
+   * @param {Date} now - Reference time
+   * @returns {Object|null} { point, source }, or null if unknown
+   */
+  getMitraPosition(mitra, now) {
+    const reported = toPoint(mitra.lastKnownLocation);
+    const reportedAt = mitra.lastKnownLocation?.updatedAt;
+
+    if (reported && reportedAt && now - reportedAt <= this.locationMaxAgeHours * 60 * 60 * 1000) {
+      return { point: reported, source: 'last known position' };
+    }
+
+    const zoneCenter = getZoneCenter(mitra.zone);
+    if (zoneCenter) {
+      return { point: zoneCenter, source: `home zone (${mitra.zone})` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Count each Mitra's open complaints and weigh them by priority
+   * @param {Array} mitraIds - Mitra user IDs
+   * @returns {Promise<Map>} Mitra ID -> { openCount, priorityLoad }
+   */
+  async getWorkloads(mitraIds) {
+    const workloads = await Complaint.aggregate([
+      { $match: { assignedMitra: { $in: mitraIds }, status: { $in: ACTIVE_STATUSES }, isActive: true } },
+      {
+        $group: {
+          _id: '$assignedMitra',
+          openCount: { $sum: 1 },
+          priorityLoad: {
+            $sum: {
+              $switch: {
+                branches: Object.entries(PRIORITY_WEIGHTS).map(([priority, weight]) => ({
+                  case: { $eq: [EFFECTIVE_PRIORITY, priority] },
+                  then: weight
+                })),
+                default: PRIORITY_WEIGHTS.medium
+              }
+            }
+          }
+        }
+      }
+    ]);
+
+    return new Map(workloads.map(({ _id, openCount, priorityLoad }) => [_id.toString(), { openCount, priorityLoad }]));
+  }
+
+  /**
+   * Score every active Mitra of the complaint's department, best first.
+   * Mitras on leave, off duty, off shift or at capacity are listed as ineligible.
+   * @param {Object} complaint - Complaint document
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Candidates ({ mitra, eligible, score, reason, ... })
+   */
+  async rankMitras(complaint, now = new Date()) {
+    const mitras = await User.getAvailableMitra(complaint.effectiveClassification.department)
+      .select('role department isActive zone lastKnownLocation roster leaves duty');
+
+    if (mitras.length === 0) {
+      return [];
+    }
+
+    const workloads = await this.getWorkloads(mitras.map(mitra => mitra._id));
+    const complaintPoint = toPoint(complaint.location.coordinates) || getZoneCenter(complaint.location.zone);
+    const maxPriorityLoad = this.maxOpenComplaints * PRIORITY_WEIGHTS.critical;
+
+    const candidates = mitras.map(mitra => {
+      const { openCount, priorityLoad } = workloads.get(mitra._id.toString()) || { openCount: 0, priorityLoad: 0 };
+      const availability = mitra.getAvailability(now);
+      const position = this.getMitraPosition(mitra, now);
+      const distance = position && complaintPoint ? distanceMeters(position.point, complaintPoint) : null;
+
+      const factors = {
+        workload: Math.max(0, 1 - openCount / this.maxOpenComplaints),
+        priorityMix: Math.max(0, 1 - priorityLoad / maxPriorityLoad),
+        // Unknown distance counts as halfway
+        proximity: distance === null ? 0.5 : Math.max(0, 1 - distance / this.maxDistanceMeters)
+      };
+      const score = Object.entries(SCORE_WEIGHTS)
+        .reduce((total, [factor, weight]) => total + factors[factor] * weight, 0);
+
+      let ineligibleReason = null;
+      if (!availability.available) {
+        ineligibleReason = availability.reason;
+      } else if (openCount >= this.maxOpenComplaints) {
+        ineligibleReason = `At capacity (${openCount} open complaints)`;
+      }
+
+      return {
+        mitra,
+        eligible: !ineligibleReason,
+        ineligibleReason,
+        score: Math.round(score * 100) / 100,
+        factors,
+        openCount,
+        priorityLoad,
+        onShift: availability.onShift,
+        distanceMeters: distance === null ? null : Math.round(distance),
+        locationSource: position ? position.source : null
+      };
+    });
+
+    return candidates.sort((a, b) =>
+      (b.eligible - a.eligible) || (b.score - a.score) || (a.openCount - b.openCount)
+    );
+  }
+
+  /**
+   * Explain why a candidate was chosen, for the complaint timeline
+   * @param {Object} candidate - Ranked candidate
+   * @param {number} eligibleCount - Number of eligible candidates
+   * @returns {string} Reason
+   */
+  describe(candidate, eligibleCount) {
+    const distance = candidate.distanceMeters === null
+      ? 'location unknown'
+      : `${(candidate.distanceMeters / 1000).toFixed(1)} km from ${candidate.locationSource}`;
+
+    return `Best of ${eligibleCount} available Mitra: ${candidate.openCount} open complaint(s) ` +
+      `(priority load ${candidate.priorityLoad}), ${distance}, on shift. Score ${candidate.score.toFixed(2)}`;
+  }
+
+  /**
+   * Pick the best Mitra for a complaint
+   * @param {Object} complaint - Complaint document
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} { mitra, reason, candidate }, or null if nobody is available
+   */
+  async selectMitra(complaint, now = new Date()) {
+    const candidates = await this.rankMitras(complaint, now);
+    const eligible = candidates.filter(candidate => candidate.eligible);
+
+    if (eligible.length === 0) {
+      return null;
+    }
+
+    const [best] = eligible;
+    return { mitra: best.mitra, reason: this.describe(best, eligible.length), candidate: best };
+  }
+}
+
+// Export singleton instance
+module.exports = new AutoAssignmentService();
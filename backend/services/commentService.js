@@ -0,0 +1,178 @@
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// @EMPLOYEEID mentions, e.g. "@PWD001 please check" or "@IMC-ZH001"
+const MENTION_PATTERN = /(?:^|[^\w@])@([A-Za-z0-9][\w-]*)/g;
+
+// Roles that can be @mentioned (staff of the complaint's department)
+const MENTIONABLE_ROLES = ['officer', 'mitra'];
+
+class CommentService {
+  /**
+   * Find the staff users @mentioned in a comment. Only active officers and
+   * Mitras of the complaint's department can be mentioned; other handles
+   * are left as plain text.
+   * @param {string} text - Comment text
+   * @param {Object} complaint - Complaint document
+   * @param {Object} author - Commenting user (never mentions themselves)
+   * @returns {Promise<Array>} Mentioned users ({ _id, name, employeeId })
+   */
+  async resolveMentions(text, complaint, author) {
+    // Employee IDs are matched as typed and in upper case
+    const handles = [...text.matchAll(MENTION_PATTERN)].flatMap(([, handle]) => [handle, handle.toUpperCase()]);
+    if (handles.length === 0) return [];
+
+    const users = await User.find({
+      employeeId: { $in: [...new Set(handles)] },
+      role: { $in: MENTIONABLE_ROLES },
+      department: complaint.effectiveClassification.department,
+      isActive: true
+    }).select('name employeeId');
+
+    return users.filter(user => user._id.toString() !== author._id.toString());
+  }
+
+  /**
+   * Load a comment on a complaint
+   * @param {Object} complaint - Complaint document
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Comment document
+   */
+  async findComment(complaint, commentId) {
+    const comment = await Comment.findOne({ _id: commentId, complaint: complaint._id });
+
+    if (!comment) {
+      throw new ErrorResponse('Comment not found', 404);
+    }
+
+    return comment;
+  }
+
+  /**
+   * Get a complaint's discussion as threads: top-level comments oldest
+   * first, each with its replies nested under `replies`
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Array>} Threads
+   */
+  async getThreads(complaint) {
+    const comments = await Comment.find({ complaint: complaint._id })
+      .sort({ createdAt: 1 })
+      .populate('author', 'name role employeeId')
+      .populate('mentions', 'name employeeId');
+
+    const nodes = new Map(comments.map(comment => [
+      comment._id.toString(),
+      { ...comment.toThreadJSON(), replies: [] }
+    ]));
+
+    const threads = [];
+    for (const node of nodes.values()) {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      (parent ? parent.replies : threads).push(node);
+    }
+
+    return threads;
+  }
+
+  /**
+   * Add a comment or a reply
+   * @param {Object} complaint - Complaint document
+   * @param {Object} author - Commenting user
+   * @param {Object} comment - { text, parentId }
+   * @returns {Promise<Object>} { comment, mentioned } where mentioned are
+   *   the users to notify
+   */
+  async addComment(complaint, author, { text, parentId = null }) {
+    if (parentId) {
+      const parent = await this.findComment(complaint, parentId);
+      if (parent.isDeleted) {
+        throw new ErrorResponse('Cannot reply to a deleted comment', 400);
+      }
+    }
+
+    const mentioned = await this.resolveMentions(text, complaint, author);
+
+    const comment = await Comment.create({
+      complaint: complaint._id,
+      parent: parentId,
+      author: author._id,
+      text,
+      mentions: mentioned.map(user => user._id)
+    });
+
+    return { comment, mentioned };
+  }
+
+  /**
+   * Edit a comment, keeping the previous text in its history. Only the
+   * author can edit.
+   * @param {Object} comment - Comment document
+   * @param {Object} user - Editing user
+   * @param {string} text - New text
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Object>} { comment, mentioned } where mentioned are
+   *   only the users not mentioned before
+   */
+  async editComment(comment, user, text, complaint) {
+    if (comment.author.toString() !== user._id.toString()) {
+      throw new ErrorResponse('Only the author can edit a comment', 403);
+    }
+    if (comment.isDeleted) {
+      throw new ErrorResponse('Deleted comments cannot be edited', 400);
+    }
+
+    const mentioned = await this.resolveMentions(text, complaint, user);
+    const previous = new Set(comment.mentions.map(id => id.toString()));
+
+    comment.history.push({
+      action: 'edited',
+      text: comment.text,
+      mentions: comment.mentions,
+      changedBy: user._id
+    });
+    comment.text = text;
+    comment.mentions = mentioned.map(mention => mention._id);
+    comment.editedAt = new Date();
+    await comment.save();
+
+    return {
+      comment,
+      mentioned: mentioned.filter(mention => !previous.has(mention._id.toString()))
+    };
+  }
+
+  /**
+   * Delete a comment. Its text moves to the history and replies stay in
+   * the thread. The author or an admin can delete.
+   * @param {Object} comment - Comment document
+   * @param {Object} user - Deleting user
+   * @returns {Promise<Object>} Comment document
+   */
+  async deleteComment(comment, user) {
+    if (comment.author.toString() !== user._id.toString() && user.role !== 'admin') {
+      throw new ErrorResponse('Only the author or an admin can delete a comment', 403);
+    }
+    if (comment.isDeleted) {
+      throw new ErrorResponse('Comment is already deleted', 400);
+    }
+
+    const now = new Date();
+    comment.history.push({
+      action: 'deleted',
+      text: comment.text,
+      mentions: comment.mentions,
+      changedBy: user._id,
+      changedAt: now
+    });
+    comment.isDeleted = true;
+    comment.deletedAt = now;
+    comment.deletedBy = user._id;
+    await comment.save();
+
+    return comment;
+  }
+}
+
+// Export singleton instance
+module.exports = new CommentService();
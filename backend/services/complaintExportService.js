@@ -0,0 +1,266 @@
+const { once } = require('events');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const Complaint = require('../models/Complaint');
+
+const formatDate = (value) => (value ? moment(value).format('YYYY-MM-DD HH:mm') : '');
+
+// Show only the last four digits of a phone number
+const maskPhone = (phone) => (phone ? `******${String(phone).slice(-4)}` : '');
+
+// Latest remark shown to citizens; exports never carry internal notes
+const latestPublicUpdate = (c) => Complaint.getVisibleRemarks(c.remarks, 'citizen').at(-1)?.text;
+
+// Columns included for every role
+const BASE_COLUMNS = [
+  { header: 'Complaint ID', width: 14, value: (c) => c.complaintId },
+  { header: 'Title', width: 40, value: (c) => c.title },
+  { header: 'Status', width: 12, value: (c) => c.status },
+  { header: 'Category', width: 24, value: (c) => Complaint.getEffectiveClassification(c).category },
+  { header: 'Department', width: 20, value: (c) => Complaint.getEffectiveClassification(c).department },
+  { header: 'Priority', width: 10, value: (c) => Complaint.getEffectiveClassification(c).priority },
+  { header: 'AI Category', width: 24, value: (c) => c.aiClassification?.category },
+  { header: 'AI Priority', width: 10, value: (c) => c.aiClassification?.priority },
+  { header: 'Zone', width: 10, value: (c) => c.location?.zone },
+  { header: 'Address', width: 40, value: (c) => c.location?.address },
+  { header: 'SLA Status', width: 12, value: (c) => c.sla?.status },
+  { header: 'SLA Deadline', width: 18, value: (c) => formatDate(c.sla?.deadline) },
+  { header: 'SLA Breached', width: 12, value: (c) => (c.sla?.isBreached ? 'Yes' : 'No') },
+  { header: 'Assigned Mitra', width: 20, value: (c) => c.assignedMitra?.name },
+  { header: 'Created At', width: 18, value: (c) => formatDate(c.createdAt) },
+  { header: 'Resolved At', width: 18, value: (c) => formatDate(c.resolution?.resolvedAt) },
+  { header: 'Rating', width: 8, value: (c) => c.citizenFeedback?.rating },
+  { header: 'Latest Update', width: 40, value: latestPublicUpdate }
+];
+
+// Citizen details exposed per role
+const CITIZEN_COLUMNS = {
+  admin: [
+    { header: 'Citizen Name', width: 20, value: (c) => c.citizen?.name },
+    { header: 'Citizen Email', width: 28, value: (c) => c.citizen?.email },
+    { header: 'Citizen Phone', width: 14, value: (c) => c.citizen?.phone }
+  ],
+  officer: [
+    { header: 'Citizen Name', width: 20, value: (c) => c.citizen?.name },
+    { header: 'Citizen Phone', width: 14, value: (c) => maskPhone(c.citizen?.phone) }
+  ]
+};
+
+// Fewer columns fit on a landscape PDF page
+const PDF_COLUMNS = ['Complaint ID', 'Title', 'Status', 'Department', 'Priority', 'Zone', 'SLA Status', 'Created At', 'Citizen Name'];
+
+// The built-in PDF fonts have no Devanagari glyphs; Noto Sans Devanagari
+// covers both Hindi and English text
+const FONT_DIR = path.dirname(require.resolve('@expo-google-fonts/noto-sans-devanagari/package.json'));
+const PDF_FONTS = {
+  regular: path.join(FONT_DIR, '400Regular', 'NotoSansDevanagari_400Regular.ttf'),
+  bold: path.join(FONT_DIR, '700Bold', 'NotoSansDevanagari_700Bold.ttf')
+};
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class ComplaintExportService {
+  constructor() {
+    this.formats = {
+      csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+      xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+      pdf: { contentType: 'application/pdf', extension: 'pdf' }
+    };
+  }
+
+  /**
+   * Check whether an export format is supported
+   * @param {string} format - Requested format
+   * @returns {boolean} True if supported
+   */
+  isSupported(format) {
+    return Boolean(this.formats[format]);
+  }
+
+  /**
+   * Get the export columns for a role
+   * @param {string} role - Role of the user exporting
+   * @returns {Array} Column definitions
+   */
+  getColumns(role) {
+    return [...BASE_COLUMNS, ...(CITIZEN_COLUMNS[role] || [])];
+  }
+
+  /**
+   * Set download headers on the response
+   * @param {Object} res - Express response
+   * @param {string} format - Export format
+   */
+  setHeaders(res, format) {
+    const { contentType, extension } = this.formats[format];
+    const filename = `complaints-${moment().format('YYYYMMDD-HHmm')}.${extension}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+
+  /**
+   * Stream complaints from a cursor to the response in the given format
+   * @param {Object} cursor - Mongoose query cursor
+   * @param {Object} res - Express response
+   * @param {Object} options - Export options
+   * @param {string} options.format - csv, xlsx or pdf
+   * @param {string} options.role - Role of the user exporting
+   * @param {Object} [options.meta] - Report metadata (generatedBy, filters)
+   * @returns {Promise<number>} Number of rows exported
+   */
+  async stream(cursor, res, { format, role, meta = {} }) {
+    const columns = this.getColumns(role);
+    this.setHeaders(res, format);
+
+    switch (format) {
+      case 'csv':
+        return this.streamCSV(cursor, res, columns);
+      case 'xlsx':
+        return this.streamXLSX(cursor, res, columns);
+      case 'pdf':
+        return this.streamPDF(cursor, res, columns, meta);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Escape a value for CSV output. Text that a spreadsheet would run as a
+   * formula is prefixed with an apostrophe.
+   * @param {*} value - Cell value
+   * @returns {string} Escaped cell
+   */
+  escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  async streamCSV(cursor, res, columns) {
+    let count = 0;
+
+    // BOM so Excel opens UTF-8 (Hindi text) correctly
+    res.write('\uFEFF' + columns.map(column => this.escapeCSV(column.header)).join(',') + '\r\n');
+
+    for await (const complaint of cursor) {
+      if (res.destroyed) break;
+
+      const line = columns.map(column => this.escapeCSV(column.value(complaint))).join(',') + '\r\n';
+      if (!res.write(line)) {
+        await once(res, 'drain');
+      }
+      count++;
+    }
+
+    res.end();
+    return count;
+  }
+
+  async streamXLSX(cursor, res, columns) {
+    let count = 0;
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Complaints');
+    worksheet.columns = columns.map(column => ({ header: column.header, width: column.width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+
+    for await (const complaint of cursor) {
+      if (res.destroyed) break;
+
+      worksheet.addRow(columns.map(column => column.value(complaint) ?? '')).commit();
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  async streamPDF(cursor, res, columns, meta) {
+    let count = 0;
+
+    const pdfColumns = columns.filter(column => PDF_COLUMNS.includes(column.header));
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.registerFont('Regular', PDF_FONTS.regular);
+    doc.registerFont('Bold', PDF_FONTS.bold);
+    doc.pipe(res);
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const totalWidth = pdfColumns.reduce((sum, column) => sum + column.width, 0);
+    const widths = pdfColumns.map(column => (column.width / totalWidth) * pageWidth);
+    const bottom = doc.page.height - doc.page.margins.bottom - 20;
+    let pageNumber = 0;
+
+    const drawRow = (values, options = {}) => {
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(options.bold ? 'Bold' : 'Regular').fontSize(8);
+
+      // Long titles are truncated so a row never spills over a page
+      const cells = values.map(value => String(value ?? '').slice(0, 120));
+
+      const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: widths[index] - 4 }));
+      const rowHeight = Math.max(...heights) + 4;
+
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + 2, y + 2, { width: widths[index] - 4 });
+        x += widths[index];
+      });
+
+      doc.moveTo(doc.page.margins.left, y + rowHeight)
+        .lineTo(doc.page.margins.left + pageWidth, y + rowHeight)
+        .strokeColor('#dddddd')
+        .stroke();
+      doc.y = y + rowHeight;
+    };
+
+    const startPage = () => {
+      if (pageNumber > 0) {
+        doc.addPage();
+      }
+      pageNumber++;
+
+      doc.font('Bold').fontSize(12)
+        .text('i-Mitra Complaint Report', doc.page.margins.left, doc.page.margins.top);
+      doc.font('Regular').fontSize(8)
+        .text(`Generated ${formatDate(new Date())}${meta.generatedBy ? ` by ${meta.generatedBy}` : ''} | Page ${pageNumber}`);
+      if (meta.filters) {
+        doc.text(`Filters: ${meta.filters}`);
+      }
+      doc.moveDown(0.5);
+      drawRow(pdfColumns.map(column => column.header), { bold: true });
+    };
+
+    startPage();
+
+    for await (const complaint of cursor) {
+      if (res.destroyed) break;
+
+      if (doc.y > bottom) {
+        startPage();
+      }
+      drawRow(pdfColumns.map(column => column.value(complaint)));
+      count++;
+    }
+
+    doc.moveDown();
+    doc.font('Bold').fontSize(9).text(`Total complaints: ${count}`, doc.page.margins.left);
+    doc.end();
+
+    return count;
+  }
+}
+
+// Export singleton instance
+module.exports = new ComplaintExportService();
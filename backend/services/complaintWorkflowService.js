@@ -0,0 +1,269 @@
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { STATES, TRANSITIONS } = require('../config/complaintWorkflow');
+const { PROOF_FIELDS, getProofPolicy } = require('../config/proofPolicies');
+const siteVisitService = require('./siteVisitService');
+const sendSMS = require('../utils/sendSMS');
+
+const HOLD_REASONS = ['awaiting_citizen', 'awaiting_other_agency', 'awaiting_material', 'other'];
+
+// Conditions a transition can require; each returns an error message or null
+const GUARDS = {
+  reasonRequired: (complaint, { remarks }) =>
+    (remarks && String(remarks).trim() ? null : 'A reason is required for this change'),
+
+  holdReasonRequired: (complaint, { hold = {} }) =>
+    (HOLD_REASONS.includes(hold.reason) ? null : 'A valid hold reason is required to put a complaint on hold'),
+
+  // Proof as the category's policy asks: its required slots, or any file
+  // when it names none; categories that need no proof pass without it
+  proofRequired: (complaint, { proofAttachments = [] }) => {
+    const { category } = complaint.effectiveClassification;
+    const { proofRequired, required } = getProofPolicy(category);
+
+    if (!proofRequired) {
+      return null;
+    }
+
+    const missing = required.filter(slot => !proofAttachments.some(file => file.slot === slot));
+
+    if (missing.length > 0) {
+      return `${category} complaints need ${missing.join(' and ')} proof to be resolved. ` +
+        `Upload it as ${missing.map(slot => PROOF_FIELDS[slot]).join(' and ')}`;
+    }
+
+    return proofAttachments.length > 0 ? null : 'Proof attachments are required to resolve a complaint';
+  },
+
+  // Only enforced with SITE_VISIT_ENFORCEMENT=block; otherwise the resolution is flagged
+  siteVisitRequired: (complaint) =>
+    (siteVisitService.getEnforcement() !== 'block' || siteVisitService.isVerified(complaint) !== false
+      ? null
+      : 'A Mitra must check in at the complaint location before it can be resolved')
+};
+
+// Work done as a complaint enters or leaves a status
+const HOOKS = {
+  pauseSLA: (complaint, { user, remarks, hold = {} }, now) => {
+    complaint.placeOnHold({
+      reason: hold.reason,
+      details: remarks,
+      resumeAt: hold.resumeAt || null,
+      userId: user.id
+    }, now);
+  },
+
+  resumeSLA: (complaint, { user, trigger }, now) => {
+    complaint.resumeFromHold({
+      userId: user.role === 'system' ? null : user.id,
+      autoResumed: trigger === 'auto_resume'
+    }, now);
+  },
+
+  recordResolution: (complaint, { user, remarks, proofAttachments = [] }, now) => {
+    complaint.resolution = {
+      description: remarks,
+      resolvedBy: user.id,
+      resolvedAt: now,
+      resolutionTime: Math.round((now - new Date(complaint.createdAt)) / (1000 * 60 * 60)),
+      proofAttachments,
+      siteVerified: siteVisitService.isVerified(complaint)
+    };
+  }
+};
+
+class ComplaintWorkflowService {
+  /**
+   * Find the transition for a status change
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @param {string} [trigger] - Action performing the change
+   * @returns {Object|null} Transition definition
+   */
+  findTransition(from, to, trigger = 'status') {
+    return TRANSITIONS.find(transition =>
+      transition.trigger === trigger &&
+      transition.to === to &&
+      transition.from.includes(from)
+    ) || null;
+  }
+
+  /**
+   * List the status changes a role may make from the complaint's status
+   * @param {Object} complaint - Complaint document
+   * @param {string} role - Role of the user
+   * @returns {Array} Allowed transitions ({ to, trigger, guards })
+   */
+  getAvailableTransitions(complaint, role) {
+    return TRANSITIONS
+      .filter(transition => transition.from.includes(complaint.status) && transition.roles.includes(role))
+      .map(({ to, trigger, guards }) => ({ to, trigger, guards }));
+  }
+
+  /**
+   * Check whether a status change is allowed
+   * @param {Object} complaint - Complaint document
+   * @param {string} to - Target status
+   * @param {Object} context - Change context
+   * @param {Object} context.user - Acting user ({ id, role, name }); role 'system' for jobs
+   * @param {string} [context.trigger] - Action performing the change
+   * @param {string} [context.remarks] - Remarks or reason
+   * @param {Array} [context.proofAttachments] - Resolution proof attachments
+   * @param {Object} [context.hold] - Hold reason and optional resumeAt
+   * @returns {ErrorResponse|null} Error, or null if the change is allowed
+   */
+  check(complaint, to, context) {
+    const { user, trigger = 'status' } = context;
+    const transition = this.findTransition(complaint.status, to, trigger);
+
+    if (!transition) {
+      return new ErrorResponse(`Cannot change status from ${complaint.status} to ${to}`, 400);
+    }
+
+    if (!transition.roles.includes(user.role)) {
+      return new ErrorResponse(`Role ${user.role} cannot change status from ${complaint.status} to ${to}`, 403);
+    }
+
+    for (const guard of transition.guards) {
+      const message = GUARDS[guard](complaint, context);
+      if (message) {
+        return new ErrorResponse(message, 400);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply an allowed status change without saving: runs the state hooks and
+   * records the timeline entry (and public remark for status updates)
+   * @param {Object} complaint - Complaint document
+   * @param {string} to - Target status
+   * @param {Object} context - Change context (see check)
+   * @param {string} [context.description] - Timeline description override
+   * @returns {Object} Transition applied
+   */
+  apply(complaint, to, context) {
+    const { user, trigger = 'status', remarks = '', proofAttachments = [], description } = context;
+    const transition = this.findTransition(complaint.status, to, trigger);
+    const from = complaint.status;
+    const now = new Date();
+
+    (STATES[from].onExit || []).forEach(hook => HOOKS[hook](complaint, context, now));
+    (STATES[to].onEnter || []).forEach(hook => HOOKS[hook](complaint, context, now));
+
+    complaint.status = to;
+
+    if (transition.timelineAction) {
+      complaint.timeline.push({
+        action: transition.timelineAction,
+        description: description || `Status changed from ${from} to ${to}`,
+        performedBy: user.id,
+        remarks,
+        attachments: proofAttachments,
+        performedAt: now
+      });
+    }
+
+    if (transition.recordRemark && remarks) {
+      complaint.remarks.push({
+        text: remarks,
+        addedBy: user.id,
+        isPublic: true,
+        addedAt: now
+      });
+    }
+
+    return transition;
+  }
+
+  /**
+   * Check, apply and save a status change, then send its notifications
+   * @param {Object} complaint - Complaint document
+   * @param {string} to - Target status
+   * @param {Object} context - Change context (see check)
+   * @param {Object} [context.io] - Socket.io instance for notifications
+   * @returns {Promise<Object>} Saved complaint
+   */
+  async transition(complaint, to, context) {
+    const error = this.check(complaint, to, context);
+    if (error) {
+      throw error;
+    }
+
+    const transition = this.apply(complaint, to, context);
+    await complaint.save();
+
+    if (transition.notify) {
+      await this.notify(complaint, context);
+    }
+
+    return complaint;
+  }
+
+  /**
+   * Get the citizen SMS text for a status
+   * @param {string} status - Complaint status
+   * @returns {string} SMS text
+   */
+  getSMSMessage(status) {
+    return STATES[status]?.sms || `Your complaint status is now ${status}.`;
+  }
+
+  /**
+   * Send the standard status update over socket and SMS to the citizen and
+   * every reporter merged into the complaint. Failures are logged, not thrown.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} context - Change context
+   */
+  async notify(complaint, { user, remarks = '', io }) {
+    const reporterIds = complaint.getReporterIds();
+    const updateData = {
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      updatedBy: user.name,
+      remarks
+    };
+
+    if (io) {
+      // Notify citizen and merged reporters
+      reporterIds.forEach(id => io.to(`user_${id}`).emit('complaint_status_updated', updateData));
+
+      // Notify department
+      io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_status_updated', updateData);
+
+      // Notify admins
+      io.to('role_admin').emit('complaint_status_updated', updateData);
+    }
+
+    // Save to the same users' inboxes
+    await notificationService.record({
+      users: reporterIds,
+      departments: [complaint.effectiveClassification.department],
+      roles: ['admin'],
+      exclude: user.role === 'system' ? null : user.id
+    }, {
+      type: 'complaint_status_updated',
+      title: `Complaint ${complaint.complaintId} updated`,
+      message: `Status changed to ${complaint.status} by ${user.name}${remarks ? `: ${remarks}` : ''}`,
+      complaint: complaint._id,
+      data: updateData
+    });
+
+    try {
+      const citizens = await User.find({ _id: { $in: reporterIds } }).select('phone');
+      for (const citizen of citizens) {
+        await sendSMS(
+          citizen.phone,
+          `Complaint ${complaint.complaintId} update: ${this.getSMSMessage(complaint.status)} ${remarks ? 'Remarks: ' + remarks : ''}`
+        );
+      }
+    } catch (notificationError) {
+      console.error('Status update notification failed:', notificationError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ComplaintWorkflowService();
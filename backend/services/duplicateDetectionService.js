@@ -0,0 +1,133 @@
+const Complaint = require('../models/Complaint');
+const { toPoint, distanceMeters } = require('../utils/geo');
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Words that carry no meaning for comparing complaints
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+  'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
+  'there', 'near', 'from', 'since', 'very', 'please', 'our', 'my', 'not'
+]);
+
+// Complaints that can still absorb duplicates
+const OPEN_STATUSES = ['new', 'assigned', 'in_progress', 'on_hold', 'escalated'];
+
+class DuplicateDetectionService {
+  constructor() {
+    this.radiusMeters = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 200;
+    this.windowHours = parseInt(process.env.DUPLICATE_WINDOW_HOURS, 10) || 72;
+    this.similarityThreshold = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.25;
+    this.maxCandidates = 5;
+  }
+
+  /**
+   * Split text into a set of meaningful lowercase words
+   * @param {string} text - Text to tokenize
+   * @returns {Set} Words
+   */
+  tokenize(text) {
+    return new Set(
+      String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+  }
+
+  /**
+   * Jaccard similarity of the words of two texts
+   * @param {string} first - First text
+   * @param {string} second - Second text
+   * @returns {number} Similarity between 0 and 1
+   */
+  textSimilarity(first, second) {
+    const a = this.tokenize(first);
+    const b = this.tokenize(second);
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach(word => {
+      if (b.has(word)) shared++;
+    });
+
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Find open complaints that likely report the same issue: same category,
+   * filed within the time window, close by and with similar text
+   * @param {Object} candidate - New complaint data
+   * @param {string} candidate.title - Title
+   * @param {string} candidate.description - Description
+   * @param {string} candidate.category - Effective category
+   * @param {Object} [candidate.coordinates] - { latitude, longitude }
+   * @param {string} [candidate.excludeId] - Complaint to leave out
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Likely duplicates, best match first
+   */
+  async findLikelyDuplicates({ title, description, category, coordinates, excludeId }, now = new Date()) {
+    const point = toPoint(coordinates);
+
+    // Distance is required to call something a duplicate
+    if (!point) {
+      return [];
+    }
+
+    const { latitude, longitude } = point;
+
+    // Bounding box prefilter; the exact distance is checked below
+    const latDelta = this.radiusMeters / METERS_PER_DEGREE_LAT;
+    const lngDelta = this.radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos((latitude * Math.PI) / 180));
+
+    const query = {
+      isActive: true,
+      status: { $in: OPEN_STATUSES },
+      createdAt: { $gte: new Date(now.getTime() - this.windowHours * 60 * 60 * 1000) },
+      $or: [
+        { 'manualClassification.category': category },
+        { 'manualClassification.category': null, 'aiClassification.category': category }
+      ],
+      'location.coordinates.latitude': { $gte: latitude - latDelta, $lte: latitude + latDelta },
+      'location.coordinates.longitude': { $gte: longitude - lngDelta, $lte: longitude + lngDelta }
+    };
+
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    const nearby = await Complaint.find(query)
+      .select('complaintId title description status location.coordinates location.address createdAt')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    const text = `${title} ${description}`;
+
+    return nearby
+      .map(complaint => {
+        const distance = distanceMeters(point, complaint.location.coordinates);
+        const similarity = this.textSimilarity(text, `${complaint.title} ${complaint.description}`);
+
+        return {
+          complaint: complaint._id,
+          complaintId: complaint.complaintId,
+          title: complaint.title,
+          status: complaint.status,
+          address: complaint.location.address,
+          distanceMeters: Math.round(distance),
+          similarity: Math.round(similarity * 100) / 100,
+          // Closer and more similar complaints rank higher
+          score: Math.round((similarity * 0.6 + (1 - distance / this.radiusMeters) * 0.4) * 100) / 100
+        };
+      })
+      .filter(match => match.distanceMeters <= this.radiusMeters && match.similarity >= this.similarityThreshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+  }
+}
+
+// Export singleton instance
+module.exports = new DuplicateDetectionService();
@@ -0,0 +1,177 @@
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const { getEscalationLevels } = require('../config/escalation');
+const complaintWorkflowService = require('./complaintWorkflowService');
+const sendSMS = require('../utils/sendSMS');
+
+class EscalationService {
+  /**
+   * Get the escalation chain for a department
+   * @param {string} department - Department name
+   * @returns {Array} Ordered escalation levels
+   */
+  getLevels(department) {
+    return getEscalationLevels(department);
+  }
+
+  /**
+   * Find the user who owns an escalation level for a complaint. Levels with
+   * fallbackToRole fall back to an undesignated user of their role.
+   * @param {Object} levelConfig - Escalation level definition
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Object|null>} Owner user or null if none is configured
+   */
+  async resolveOwner(levelConfig, complaint) {
+    // A level pinned to a specific person always wins
+    if (levelConfig.employeeId) {
+      return User.findOne({ employeeId: levelConfig.employeeId, isActive: true })
+        .select('name email phone role department designation');
+    }
+
+    const query = { role: levelConfig.role, isActive: true };
+
+    if (levelConfig.designation) {
+      query.designation = levelConfig.designation;
+    }
+
+    if (levelConfig.scope === 'department') {
+      query.department = complaint.effectiveClassification.department;
+    } else if (levelConfig.scope === 'zone') {
+      query.zone = complaint.location.zone;
+    }
+
+    const owner = await User.findOne(query)
+      .sort({ createdAt: 1 })
+      .select('name email phone role department designation');
+
+    if (owner || !levelConfig.designation || !levelConfig.fallbackToRole) {
+      return owner;
+    }
+
+    return User.findOne({ ...query, designation: null })
+      .sort({ createdAt: 1 })
+      .select('name email phone role department designation');
+  }
+
+  /**
+   * Find the next escalation level that has an available owner
+   * @param {Object} complaint - Complaint document
+   * @returns {Promise<Object|null>} { level, owner }, or null at the top of
+   *   the chain or when no remaining level has an owner
+   */
+  async findNextLevel(complaint) {
+    const levels = this.getLevels(complaint.effectiveClassification.department);
+    const pendingLevels = levels.filter(level => level.level > complaint.escalation.level);
+
+    for (const level of pendingLevels) {
+      const owner = await this.resolveOwner(level, complaint);
+      if (owner) {
+        return { level, owner };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Escalate a complaint to the next level of its department's chain.
+   * Levels without an available owner are skipped.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} options - Escalation options
+   * @param {Object} options.user - User escalating ({ id, role })
+   * @param {string} options.reason - Reason for escalation
+   * @param {Object} [options.io] - Socket.io instance for notifications
+   * @returns {Promise<Object>} Escalation result ({ complaint, level, owner })
+   */
+  async escalate(complaint, { user, reason, io }) {
+    const transitionContext = { user, trigger: 'escalate', remarks: reason };
+    const transitionError = complaintWorkflowService.check(complaint, 'escalated', transitionContext);
+    if (transitionError) {
+      throw transitionError;
+    }
+
+    const levels = this.getLevels(complaint.effectiveClassification.department);
+
+    if (!levels.some(level => level.level > complaint.escalation.level)) {
+      throw new ErrorResponse('Complaint is already at the highest escalation level', 400);
+    }
+
+    const next = await this.findNextLevel(complaint);
+
+    if (!next) {
+      throw new ErrorResponse('No owner is configured for the remaining escalation levels', 409);
+    }
+
+    const { level: nextLevel, owner } = next;
+
+    const now = new Date();
+    const escalatedBy = user.id;
+
+    complaintWorkflowService.apply(complaint, 'escalated', {
+      ...transitionContext,
+      description: `Complaint escalated to level ${nextLevel.level} (${nextLevel.title}): ${owner.name}`
+    });
+
+    complaint.assignedOfficer = owner._id;
+    complaint.escalation.level = nextLevel.level;
+    complaint.escalation.levelTitle = nextLevel.title;
+    complaint.escalation.currentOwner = owner._id;
+    complaint.escalation.escalatedBy = escalatedBy;
+    complaint.escalation.escalatedAt = now;
+    complaint.escalation.reason = reason;
+    complaint.escalation.history.push({
+      level: nextLevel.level,
+      levelTitle: nextLevel.title,
+      owner: owner._id,
+      escalatedBy,
+      escalatedAt: now,
+      reason
+    });
+
+    await complaint.save();
+
+    await this.notifyOwner(complaint, nextLevel, owner, io);
+
+    return { complaint, level: nextLevel, owner };
+  }
+
+  /**
+   * Notify the new owner over socket and SMS. Failures are logged, not thrown.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} level - Escalation level reached
+   * @param {Object} owner - Owner user
+   * @param {Object} [io] - Socket.io instance
+   */
+  async notifyOwner(complaint, level, owner, io) {
+    if (io) {
+      const escalationData = {
+        complaintId: complaint.complaintId,
+        level: level.level,
+        levelTitle: level.title,
+        owner: owner.name,
+        reason: complaint.escalation.reason
+      };
+
+      // Notify new owner
+      io.to(`user_${owner._id}`).emit('complaint_escalated', escalationData);
+
+      // Notify department
+      io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_escalated', escalationData);
+
+      // Notify admins
+      io.to('role_admin').emit('complaint_escalated', escalationData);
+    }
+
+    try {
+      await sendSMS(
+        owner.phone,
+        `Complaint ${complaint.complaintId} has been escalated to you (Level ${level.level} - ${level.title}). Priority: ${complaint.effectiveClassification.priority}. Reason: ${complaint.escalation.reason}. Check i-Mitra portal for details.`
+      );
+    } catch (notificationError) {
+      console.error('Escalation notification failed:', notificationError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EscalationService();
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const storageService = require('./storageService');
+const imageProcessingService = require('./imageProcessingService');
+const NoopScanner = require('./scanners/noopScanner');
+const { PROOF_FILE_KINDS } = require('../config/proofPolicies');
+const { detectFileType } = require('../utils/fileSignature');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Kinds of file citizens can attach as evidence
+const EVIDENCE_FILE_KINDS = ['image', 'video', 'audio', 'document'];
+
+// Leading bytes read to recognise a file on disk
+const SIGNATURE_LENGTH = 16;
+
+/**
+ * Create the malware scanner configured with FILE_SCANNER. Every scanner
+ * implements scan(input), taking a buffer or a readable stream and
+ * resolving to { infected, signature }.
+ * @param {string} name - 'none' or 'clamav'
+ * @returns {Object} Scanner
+ */
+const createScanner = (name) => {
+  if (name === 'clamav') {
+    const ClamavScanner = require('./scanners/clamavScanner');
+    return new ClamavScanner({
+      socketPath: process.env.CLAMAV_SOCKET || undefined,
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 30000
+    });
+  }
+
+  if (name === 'none') {
+    return new NoopScanner();
+  }
+
+  throw new Error(`Unknown file scanner "${name}". Use one of: none, clamav`);
+};
+
+class FileScanService {
+  constructor() {
+    this.scannerName = process.env.FILE_SCANNER || 'none';
+    this.scanner = null;
+  }
+
+  /**
+   * Get the configured scanner, creating it on first use
+   * @returns {Object} Scanner
+   */
+  getScanner() {
+    if (!this.scanner) {
+      this.scanner = createScanner(this.scannerName);
+    }
+    return this.scanner;
+  }
+
+  /**
+   * Read the leading bytes of a file held in memory or on disk
+   * @param {Object} file - { buffer } or { path }
+   * @returns {Promise<Buffer>} Leading bytes
+   */
+  async readHead(file) {
+    if (file.buffer) {
+      return file.buffer;
+    }
+
+    const handle = await fs.promises.open(file.path, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SIGNATURE_LENGTH), 0, SIGNATURE_LENGTH, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Check an uploaded file before it is stored or linked to a complaint.
+   * Its contents must be one of the accepted kinds, whatever its name or
+   * declared type, and the scanner must not flag it; flagged files are
+   * quarantined. The file's mimetype is replaced by the detected one.
+   * @param {Object} file - { buffer or path, originalname, mimetype }
+   * @param {Object} user - Uploading user
+   * @param {Array} [kinds] - Accepted kinds (image, video, audio,
+   *   document); defaults to those accepted as evidence
+   * @returns {Promise<Object>} Detected type ({ mime, kind })
+   */
+  async inspect(file, user, kinds = EVIDENCE_FILE_KINDS) {
+    const detected = detectFileType(await this.readHead(file));
+
+    if (!detected || !kinds.includes(detected.kind)) {
+      throw new ErrorResponse(
+        `${file.originalname} is not an accepted file type (allowed: ${kinds.join(', ')})`,
+        400
+      );
+    }
+
+    // Photos are stored only once their location metadata is stripped
+    if (!imageProcessingService.canProcess(detected.mime)) {
+      throw new ErrorResponse(
+        `${file.originalname} (${detected.mime}) is not supported; please upload JPEG, PNG or WebP photos`,
+        400
+      );
+    }
+
+    let result;
+    try {
+      result = await this.getScanner().scan(file.buffer || fs.createReadStream(file.path));
+    } catch (error) {
+      console.error(`Scanning ${file.originalname} failed:`, error.message);
+      throw new ErrorResponse(`${file.originalname} could not be checked for malware. Please try again later`, 503);
+    }
+
+    if (result.infected) {
+      await this.quarantine(file, user, detected, result.signature);
+      throw new ErrorResponse(`${file.originalname} was flagged as malicious and has been quarantined`, 422);
+    }
+
+    file.mimetype = detected.mime;
+    return detected;
+  }
+
+  /**
+   * Check files attached as complaint evidence
+   * @param {Array} files - Multer files (in memory)
+   * @param {Object} user - Uploading user
+   * @returns {Promise<void>}
+   */
+  async inspectEvidence(files = [], user) {
+    for (const file of files) {
+      await this.inspect(file, user);
+    }
+  }
+
+  /**
+   * Check resolution proof against what its slot accepts
+   * @param {Object} filesBySlot - Slot -> multer files
+   * @param {Object} user - Uploading user
+   * @returns {Promise<void>}
+   */
+  async inspectProof(filesBySlot, user) {
+    for (const [slot, files] of Object.entries(filesBySlot)) {
+      for (const file of files) {
+        await this.inspect(file, user, PROOF_FILE_KINDS[slot]);
+      }
+    }
+  }
+
+  /**
+   * Whether an already inspected file of this kind can be attached as
+   * evidence or proof for a slot
+   * @param {string} kind - Detected kind
+   * @param {string} [slot] - Proof slot; evidence when omitted
+   * @returns {boolean} True if accepted
+   */
+  accepts(kind, slot) {
+    return (slot ? PROOF_FILE_KINDS[slot] : EVIDENCE_FILE_KINDS).includes(kind);
+  }
+
+  /**
+   * Move a flagged file into quarantine storage and record it for review
+   * @param {Object} file - { buffer or path, originalname, mimetype, size }
+   * @param {Object} user - Uploading user
+   * @param {Object} detected - Detected type
+   * @param {string} signature - What the scanner found
+   * @returns {Promise<void>}
+   */
+  async quarantine(file, user, detected, signature) {
+    const key = `quarantine/${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+
+    try {
+      await storageService.putFile(key, file, 'application/octet-stream');
+      await QuarantinedFile.create({
+        user: user._id,
+        originalName: file.originalname,
+        declaredMimetype: file.mimetype,
+        detectedMimetype: detected.mime,
+        size: file.size,
+        key,
+        scanner: this.getScanner().name,
+        signature
+      });
+    } catch (error) {
+      console.error(`Quarantining ${file.originalname} failed:`, error);
+    }
+
+    console.warn(`☣️  Quarantined ${file.originalname} from user ${user._id}: ${signature}`);
+  }
+}
+
+// Export singleton instance
+module.exports = new FileScanService();
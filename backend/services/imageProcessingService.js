@@ -0,0 +1,179 @@
+const path = require('path');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const storageService = require('./storageService');
+const { toPoint, distanceMeters } = require('../utils/geo');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+// Image types that can be re-encoded without their metadata. Other images
+// (HEIC needs a codec sharp does not ship with) are refused.
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/gif'];
+
+// Variants generated for each image, by the longest edge in pixels
+const VARIANT_SIZES = { thumbnail: 320, web: 1280 };
+
+class ImageProcessingService {
+  constructor() {
+    this.quality = parseInt(process.env.IMAGE_VARIANT_QUALITY, 10) || 80;
+    this.photoLocationRadiusMeters = parseInt(process.env.PHOTO_LOCATION_RADIUS_METERS, 10) || 500;
+  }
+
+  /**
+   * Whether a file type can be stored: images only if their metadata can
+   * be stripped, anything else as uploaded
+   * @param {string} mimetype - MIME type
+   * @returns {boolean} True if it can be stored
+   */
+  canProcess(mimetype) {
+    return !mimetype.startsWith('image/') || PROCESSABLE_TYPES.includes(mimetype);
+  }
+
+  /**
+   * Read the GPS position embedded in a photo's EXIF data
+   * @param {Buffer|string} input - Image contents or file path
+   * @returns {Promise<Object|null>} { latitude, longitude }, or null if absent
+   */
+  async readGps(input) {
+    try {
+      return toPoint(await exifr.gps(input));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resize an image into one variant
+   * @param {Buffer} buffer - Image contents (metadata already stripped)
+   * @param {string} key - Storage key of the original
+   * @param {string} name - Variant name
+   * @param {number} size - Longest edge in pixels
+   * @returns {Promise<Object>} { key, data, width, height, size }
+   */
+  async createVariant(buffer, key, name, size) {
+    const { dir, name: baseName } = path.posix.parse(key);
+
+    const { data, info } = await sharp(buffer)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: this.quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      key: path.posix.join(dir, `${baseName}-${name}.jpg`),
+      data,
+      width: info.width,
+      height: info.height,
+      size: info.size
+    };
+  }
+
+  /**
+   * Process an uploaded file and store it: capture its GPS position,
+   * re-encode it without EXIF/XMP metadata (upright, as it was displayed)
+   * and store its thumbnail and web-sized variants. Files that are not
+   * images are stored as uploaded; images whose metadata cannot be
+   * stripped are rejected rather than stored with their location.
+   * @param {Object} file - Multer file, in memory (buffer) or on disk (path)
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} { size, metadataStripped, gps, variants }
+   */
+  async processFile(file, key) {
+    const input = file.buffer || file.path;
+    let data = null;
+    let metadataStripped = false;
+    let gps = null;
+    const variants = {};
+
+    if (!this.canProcess(file.mimetype)) {
+      throw new ErrorResponse(`${file.originalname} (${file.mimetype}) is not supported; please upload JPEG, PNG or WebP photos`, 400);
+    }
+
+    if (file.mimetype.startsWith('image/')) {
+      try {
+        gps = await this.readGps(input);
+
+        // sharp drops all metadata unless asked to keep it
+        data = await sharp(input, { animated: true }).rotate().toBuffer();
+        metadataStripped = true;
+
+        for (const [name, size] of Object.entries(VARIANT_SIZES)) {
+          variants[name] = await this.createVariant(data, key, name, size);
+        }
+      } catch (error) {
+        console.error(`Image processing failed for ${file.originalname}:`, error.message);
+        throw new ErrorResponse(`${file.originalname} could not be processed to remove its metadata`, 400);
+      }
+    }
+
+    if (data) {
+      await storageService.put(key, data, file.mimetype);
+    } else {
+      await storageService.putFile(key, file, file.mimetype);
+    }
+    for (const variant of Object.values(variants)) {
+      await storageService.put(variant.key, variant.data, 'image/jpeg');
+      delete variant.data;
+    }
+
+    return { size: data ? data.length : file.size, metadataStripped, gps, variants };
+  }
+
+  /**
+   * Process and store uploaded files one at a time and build their
+   * attachment records
+   * @param {Array} files - Multer files (in memory or on disk)
+   * @param {Object} [extra] - Fields to add to every record
+   * @returns {Promise<Array>} Attachments
+   */
+  async buildAttachments(files = [], extra = {}) {
+    const attachments = [];
+
+    for (const file of files) {
+      const key = storageService.generateKey('complaints', file);
+      const { size, metadataStripped, gps, variants } = await this.processFile(file, key);
+      attachments.push({
+        filename: path.posix.basename(key),
+        originalName: file.originalname,
+        key,
+        size,
+        mimetype: file.mimetype,
+        metadataStripped,
+        gps,
+        variants,
+        ...extra
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Resolve the complaint location against the GPS of its photos. Missing
+   * coordinates are filled from the first geotagged photo; reported ones
+   * are checked against it.
+   * @param {Object} coordinates - Reported { latitude, longitude }, if any
+   * @param {Array} attachments - Processed attachments
+   * @returns {Object} { coordinates, source, photoCheck }
+   */
+  checkPhotoLocation(coordinates, attachments) {
+    const reported = toPoint(coordinates);
+    const photo = attachments.map(attachment => toPoint(attachment.gps)).find(Boolean);
+
+    if (!photo) {
+      return { coordinates: reported || {}, source: reported ? 'reported' : null, photoCheck: null };
+    }
+
+    if (!reported) {
+      return { coordinates: photo, source: 'photo', photoCheck: null };
+    }
+
+    const distance = Math.round(distanceMeters(reported, photo));
+    return {
+      coordinates: reported,
+      source: 'reported',
+      photoCheck: { distanceMeters: distance, withinRange: distance <= this.photoLocationRadiusMeters }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ImageProcessingService();
@@ -0,0 +1,170 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+class NotificationService {
+  /**
+   * Find the active users reached by a set of socket rooms
+   * @param {Object} targets - Who the event went to
+   * @param {Array} [targets.users] - User IDs (user_ rooms)
+   * @param {Array} [targets.departments] - Departments (dept_ rooms)
+   * @param {Array} [targets.roles] - Roles (role_ rooms)
+   * @param {string} [targets.exclude] - User who caused the event
+   * @returns {Promise<Array>} User IDs
+   */
+  async resolveRecipients({ users = [], departments = [], roles = [], exclude = null }) {
+    const conditions = [];
+    if (users.length > 0) conditions.push({ _id: { $in: users } });
+    if (departments.length > 0) conditions.push({ department: { $in: departments } });
+    if (roles.length > 0) conditions.push({ role: { $in: roles } });
+
+    if (conditions.length === 0) return [];
+
+    const recipients = await User.find({ $or: conditions, isActive: true }).select('_id');
+
+    return recipients
+      .map(recipient => recipient._id)
+      .filter(id => !exclude || id.toString() !== exclude.toString());
+  }
+
+  /**
+   * Save a notification to the inbox of everyone an event reached, so
+   * users who were offline still see it. Failures are logged, not thrown.
+   * @param {Object} targets - See resolveRecipients
+   * @param {Object} notification - Inbox entry
+   * @param {string} notification.type - Notification type (the socket event)
+   * @param {string} notification.title - Short title
+   * @param {string} notification.message - Text shown in the inbox
+   * @param {string} [notification.complaint] - Related complaint ID
+   * @param {Object} [notification.data] - Event payload
+   * @returns {Promise<Array>} Notifications created
+   */
+  async record(targets, { type, title, message, complaint = null, data = {} }) {
+    try {
+      const userIds = await this.resolveRecipients(targets);
+      if (userIds.length === 0) return [];
+
+      return await Notification.insertMany(userIds.map(user => ({
+        user,
+        type,
+        title,
+        message,
+        complaint,
+        data
+      })));
+    } catch (error) {
+      console.error(`Saving ${type} notifications failed:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Push an event to each recipient's user_ room and save it to their
+   * inbox. Failures are logged, not thrown.
+   * @param {Object} io - Socket.io instance (may be undefined)
+   * @param {Array} recipients - User IDs
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Socket event payload, stored as the data
+   * @param {Object} notification - Inbox entry ({ type, title, message, complaint })
+   * @returns {Promise<Array>} Notifications created
+   */
+  async notify(io, recipients, event, payload, notification) {
+    if (recipients.length === 0) return [];
+
+    if (io) {
+      new Set(recipients.map(id => id.toString())).forEach(id => io.to(`user_${id}`).emit(event, payload));
+    }
+
+    return this.record({ users: recipients }, { ...notification, data: payload });
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {Object} user - Inbox owner
+   * @param {Object} [options]
+   * @param {number} [options.page] - Page number (from 1)
+   * @param {number} [options.limit] - Page size
+   * @param {boolean} [options.unreadOnly] - Only unread notifications
+   * @returns {Promise<Object>} { notifications, total, unreadCount }
+   */
+  async list(user, { page = 1, limit = 20, unreadOnly = false } = {}) {
+    const query = { user: user._id };
+    if (unreadOnly) {
+      query.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('complaint', 'complaintId title status'),
+      Notification.countDocuments(query),
+      this.getUnreadCount(user)
+    ]);
+
+    return { notifications, total, unreadCount };
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {Object} user - Inbox owner
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(user) {
+    return Notification.countDocuments({ user: user._id, isRead: false });
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {Object} user - Inbox owner
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markRead(user, notificationId) {
+    const notification = await Notification.findOne({ _id: notificationId, user: user._id });
+
+    if (!notification) {
+      throw new ErrorResponse('Notification not found', 404);
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    return notification;
+  }
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {Object} user - Inbox owner
+   * @returns {Promise<number>} Notifications marked
+   */
+  async markAllRead(user) {
+    const result = await Notification.updateMany(
+      { user: user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete one of the user's notifications
+   * @param {Object} user - Inbox owner
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<void>}
+   */
+  async remove(user, notificationId) {
+    const result = await Notification.deleteOne({ _id: notificationId, user: user._id });
+
+    if (result.deletedCount === 0) {
+      throw new ErrorResponse('Notification not found', 404);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationService();
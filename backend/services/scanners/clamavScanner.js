@@ -0,0 +1,76 @@
+const net = require('net');
+const { once } = require('events');
+const { Readable } = require('stream');
+
+// clamd reads INSTREAM data in chunks prefixed with their length
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scans files with a ClamAV daemon (clamd) over a Unix or TCP socket using
+ * the INSTREAM command. clamd's StreamMaxLength must cover the largest
+ * upload, or those files fail to scan.
+ */
+class ClamavScanner {
+  constructor({ socketPath, host = '127.0.0.1', port = 3310, timeoutMs = 30000 }) {
+    this.name = 'clamav';
+    this.connectOptions = socketPath ? { path: socketPath } : { host, port };
+    this.timeoutMs = timeoutMs;
+  }
+
+  scan(input) {
+    const stream = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      let reply = '';
+
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error('ClamAV scan timed out'));
+      });
+
+      socket.on('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const data of stream) {
+            for (let offset = 0; offset < data.length; offset += STREAM_CHUNK_SIZE) {
+              const chunk = data.subarray(offset, offset + STREAM_CHUNK_SIZE);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              socket.write(length);
+              // Wait for clamd to catch up rather than buffering the file
+              if (!socket.write(chunk)) {
+                await once(socket, 'drain');
+              }
+            }
+          }
+          socket.end(Buffer.alloc(4));
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+
+      socket.on('data', data => {
+        reply += data.toString();
+      });
+
+      socket.on('error', reject);
+
+      socket.on('close', () => {
+        stream.destroy();
+
+        // e.g. "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+        const result = reply.replace(/\0/g, '').trim();
+
+        if (/:\s*OK$/.test(result)) {
+          resolve({ infected: false, signature: null });
+        } else if (/ FOUND$/.test(result)) {
+          resolve({ infected: true, signature: result.replace(/^.*?:\s*/, '').replace(/ FOUND$/, '') });
+        } else {
+          reject(new Error(`ClamAV scan failed: ${result || 'no reply'}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = ClamavScanner;
@@ -0,0 +1,15 @@
+/**
+ * Default scanner: reports every file clean. Used when no malware scanner
+ * is configured.
+ */
+class NoopScanner {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async scan() {
+    return { infected: false, signature: null };
+  }
+}
+
+module.exports = NoopScanner;
@@ -0,0 +1,145 @@
+const { toPoint, distanceMeters } = require('../utils/geo');
+
+class SiteVisitService {
+  constructor() {
+    this.radiusMeters = parseInt(process.env.SITE_VISIT_RADIUS_METERS, 10) || 150;
+  }
+
+  /**
+   * How resolution without a verified site visit is handled
+   * (SITE_VISIT_ENFORCEMENT): 'flag' records it, 'block' refuses it
+   * @returns {string} 'flag' or 'block'
+   */
+  getEnforcement() {
+    return process.env.SITE_VISIT_ENFORCEMENT === 'block' ? 'block' : 'flag';
+  }
+
+  /**
+   * Measure a device position against the complaint location. A position
+   * whose reported accuracy is coarser than the site radius cannot show the
+   * Mitra was on site, so it never counts as within range.
+   * @param {Object} complaint - Complaint document
+   * @param {Object} position - { latitude, longitude, accuracy }
+   * @returns {Object} { distanceMeters, withinRange, tooInaccurate };
+   *   distance and range are null when the complaint has no coordinates
+   */
+  measure(complaint, { latitude, longitude, accuracy = null }) {
+    const tooInaccurate = accuracy !== null && accuracy > this.radiusMeters;
+
+    const site = toPoint(complaint.location.coordinates);
+    if (!site) {
+      return { distanceMeters: null, withinRange: null, tooInaccurate };
+    }
+
+    const distance = Math.round(distanceMeters(site, { latitude, longitude }));
+    return { distanceMeters: distance, withinRange: distance <= this.radiusMeters && !tooInaccurate, tooInaccurate };
+  }
+
+  /**
+   * Describe why a position did not verify the visit
+   * @param {Object} measurement - Result of measure()
+   * @param {number|null} accuracy - Reported accuracy in meters
+   * @returns {string} Note for the timeline ('' when within range)
+   */
+  describeRange({ withinRange, tooInaccurate }, accuracy) {
+    if (withinRange !== false) return '';
+    return tooInaccurate
+      ? ` (location accuracy of ${Math.round(accuracy)} m is coarser than the site radius)`
+      : ' (outside the site radius)';
+  }
+
+  /**
+   * Find the Mitra's visit that is checked in but not yet checked out
+   * @param {Object} complaint - Complaint document
+   * @param {string} mitraId - Mitra user ID
+   * @returns {Object|null} Open visit
+   */
+  findOpenVisit(complaint, mitraId) {
+    return complaint.siteVisits.find(visit =>
+      visit.mitra.toString() === mitraId.toString() && !visit.checkOut?.at
+    ) || null;
+  }
+
+  /**
+   * Record a check-in without saving
+   * @param {Object} complaint - Complaint document
+   * @param {Object} user - Mitra checking in ({ id })
+   * @param {Object} position - { latitude, longitude, accuracy }
+   * @param {Date} [now] - Check-in time
+   * @returns {Object} Visit recorded
+   */
+  checkIn(complaint, user, { latitude, longitude, accuracy = null }, now = new Date()) {
+    const measurement = this.measure(complaint, { latitude, longitude, accuracy });
+    const { distanceMeters: distance, withinRange } = measurement;
+
+    complaint.siteVisits.push({
+      mitra: user.id,
+      checkIn: { latitude, longitude, accuracy, at: now, distanceMeters: distance, withinRange }
+    });
+
+    complaint.timeline.push({
+      action: 'site_check_in',
+      description: distance === null
+        ? 'Mitra checked in on site (complaint has no coordinates to verify against)'
+        : `Mitra checked in ${distance} m from the complaint location${this.describeRange(measurement, accuracy)}`,
+      performedBy: user.id,
+      performedAt: now
+    });
+
+    return complaint.siteVisits[complaint.siteVisits.length - 1];
+  }
+
+  /**
+   * Record a check-out on the Mitra's open visit without saving
+   * @param {Object} complaint - Complaint document
+   * @param {Object} visit - Open visit
+   * @param {Object} user - Mitra checking out ({ id })
+   * @param {Object} position - { latitude, longitude, accuracy }
+   * @param {Date} [now] - Check-out time
+   * @returns {Object} Visit updated
+   */
+  checkOut(complaint, visit, user, { latitude, longitude, accuracy = null }, now = new Date()) {
+    const measurement = this.measure(complaint, { latitude, longitude, accuracy });
+    const { distanceMeters: distance, withinRange } = measurement;
+    const minutesOnSite = Math.round((now - visit.checkIn.at) / (60 * 1000));
+
+    visit.checkOut = { latitude, longitude, accuracy, at: now, distanceMeters: distance, withinRange };
+    visit.minutesOnSite = minutesOnSite;
+
+    complaint.timeline.push({
+      action: 'site_check_out',
+      description: `Mitra checked out after ${minutesOnSite} min on site` +
+        (distance === null ? '' : ` (${distance} m from the complaint location)${this.describeRange(measurement, accuracy)}`),
+      performedBy: user.id,
+      performedAt: now
+    });
+
+    return visit;
+  }
+
+  /**
+   * Whether the assigned Mitra was ever within range of the complaint
+   * location; visits by a Mitra since reassigned do not count
+   * @param {Object} complaint - Complaint document
+   * @returns {boolean|null} True or false, or null when the complaint has
+   *   no coordinates to verify against
+   */
+  isVerified(complaint) {
+    if (!toPoint(complaint.location.coordinates)) {
+      return null;
+    }
+
+    const assignedMitraId = complaint.assignedMitra?._id || complaint.assignedMitra;
+    if (!assignedMitraId) {
+      return false;
+    }
+
+    return complaint.siteVisits.some(visit =>
+      visit.mitra.toString() === assignedMitraId.toString() &&
+      (visit.checkIn?.withinRange || visit.checkOut?.withinRange)
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new SiteVisitService();
@@ -0,0 +1,249 @@
+const os = require('os');
+const Complaint = require('../models/Complaint');
+const SchedulerLock = require('../models/SchedulerLock');
+const complaintWorkflowService = require('./complaintWorkflowService');
+const notificationService = require('./notificationService');
+
+const JOB_NAME = 'sla_monitor';
+
+// SLA statuses that trigger a warning when a complaint moves into them
+const ALERT_STATUSES = ['warning', 'critical', 'breached'];
+
+class SLAMonitorService {
+  constructor() {
+    this.intervalMs = (parseInt(process.env.SLA_MONITOR_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.io = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic SLA sweep
+   * @param {Object} io - Socket.io instance for warnings
+   */
+  start(io) {
+    if (this.timer) return;
+
+    this.io = io;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`⏱️  SLA monitor started (every ${this.intervalMs / 60000} min)`);
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic SLA sweep and release the lock
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await SchedulerLock.release(JOB_NAME, this.instanceId).catch(() => {});
+  }
+
+  /**
+   * Run one sweep if this process wins the lock. The lease outlives the
+   * interval slightly so another process takes over if this one dies.
+   * @returns {Promise<Object|null>} Sweep summary, or null if skipped
+   */
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const hasLock = await SchedulerLock.acquire(JOB_NAME, this.instanceId, this.intervalMs * 2);
+      if (!hasLock) return null;
+
+      const resumed = await this.resumeDueHolds();
+      const summary = await this.sweep();
+      return { ...summary, resumed };
+    } catch (error) {
+      console.error('SLA monitor error:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Take complaints off hold once their auto-resume date has passed
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Number of complaints resumed
+   */
+  async resumeDueHolds(now = new Date()) {
+    const complaints = await Complaint.find({
+      isActive: true,
+      status: 'on_hold',
+      'hold.resumeAt': { $ne: null, $lte: now }
+    });
+
+    let resumed = 0;
+
+    for (const complaint of complaints) {
+      const previousStatus = complaint.hold.previousStatus || 'assigned';
+      const transitionContext = {
+        user: { id: complaint.hold.heldBy, role: 'system', name: 'System' },
+        trigger: 'auto_resume',
+        description: `Hold ended automatically; status restored to ${previousStatus}`
+      };
+
+      const transitionError = complaintWorkflowService.check(complaint, previousStatus, transitionContext);
+      if (transitionError) {
+        console.error(`Auto-resume skipped for ${complaint.complaintId}: ${transitionError.message}`);
+        continue;
+      }
+
+      complaintWorkflowService.apply(complaint, previousStatus, transitionContext);
+
+      try {
+        await complaint.save();
+      } catch (error) {
+        console.error(`Auto-resume failed for ${complaint.complaintId}:`, error);
+        continue;
+      }
+
+      resumed++;
+      await this.notifyResumed(complaint);
+    }
+
+    if (resumed > 0) {
+      console.log(`⏱️  SLA monitor: ${resumed} complaints resumed from hold`);
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Move open complaints through safe/warning/critical/breached
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Sweep summary
+   */
+  async sweep(now = new Date()) {
+    const summary = { checked: 0, updated: 0, warnings: 0 };
+
+    // Breaches are announced once; recomputing the deadline resets the level
+    const cursor = Complaint.find({
+      isActive: true,
+      // SLA clock is paused while on hold
+      status: { $nin: ['resolved', 'closed', 'rejected', 'on_hold', 'merged'] },
+      'sla.lastAlertedStatus': { $ne: 'breached' }
+    })
+      .select('complaintId status sla aiClassification.department aiClassification.priority manualClassification.department manualClassification.priority assignedMitra')
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    for await (const complaint of cursor) {
+      summary.checked++;
+
+      // Compared with the last level announced, not sla.status, which
+      // listing, viewing or saving the complaint may already have moved
+      const lastAlertedStatus = complaint.sla.lastAlertedStatus ?? null;
+      const { hoursRemaining, status } = Complaint.computeSLAState(complaint, now);
+      if (status === (lastAlertedStatus || 'safe')) continue;
+
+      const update = {
+        'sla.lastAlertedStatus': status,
+        'sla.status': status,
+        'sla.remainingHours': Math.max(hoursRemaining, 0)
+      };
+      if (status === 'breached') {
+        update['sla.isBreached'] = true;
+        update['sla.breachedAt'] = complaint.sla.breachedAt || now;
+      }
+
+      // Conditional on the last announced level so each transition is
+      // announced exactly once, even if another process raced this one
+      const result = await Complaint.updateOne(
+        { _id: complaint._id, 'sla.lastAlertedStatus': lastAlertedStatus },
+        { $set: update }
+      );
+      if (result.modifiedCount !== 1) continue;
+
+      summary.updated++;
+
+      if (ALERT_STATUSES.includes(status)) {
+        this.emitWarning(complaint, status, hoursRemaining);
+        summary.warnings++;
+      }
+    }
+
+    if (summary.updated > 0) {
+      console.log(`⏱️  SLA sweep: ${summary.checked} checked, ${summary.updated} updated, ${summary.warnings} warnings`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Announce a complaint that came off hold automatically, over socket and
+   * in the inboxes of the same users
+   * @param {Object} complaint - Complaint document
+   */
+  async notifyResumed(complaint) {
+    const updateData = {
+      complaintId: complaint.complaintId,
+      status: complaint.status,
+      updatedBy: 'System',
+      remarks: 'Hold ended automatically'
+    };
+
+    if (this.io) {
+      complaint.getReporterIds().forEach(id => this.io.to(`user_${id}`).emit('complaint_status_updated', updateData));
+      this.io.to(`dept_${complaint.effectiveClassification.department}`).emit('complaint_status_updated', updateData);
+
+      if (complaint.assignedMitra) {
+        this.io.to(`user_${complaint.assignedMitra}`).emit('complaint_status_updated', updateData);
+      }
+    }
+
+    await notificationService.record({
+      users: [...complaint.getReporterIds(), ...(complaint.assignedMitra ? [complaint.assignedMitra] : [])],
+      departments: [complaint.effectiveClassification.department]
+    }, {
+      type: 'complaint_status_updated',
+      title: `Complaint ${complaint.complaintId} resumed`,
+      message: 'Hold ended automatically',
+      complaint: complaint._id,
+      data: updateData
+    });
+  }
+
+  /**
+   * Warn the department and the assigned Mitra about an SLA transition
+   * @param {Object} complaint - Lean complaint
+   * @param {string} status - New SLA status
+   * @param {number} hoursRemaining - Hours left until the deadline
+   */
+  emitWarning(complaint, status, hoursRemaining) {
+    if (!this.io) return;
+
+    const { priority, department } = Complaint.getEffectiveClassification(complaint);
+    const warningData = {
+      complaintId: complaint.complaintId,
+      slaStatus: status,
+      remainingHours: Math.max(Math.round(hoursRemaining * 10) / 10, 0),
+      deadline: complaint.sla.deadline,
+      priority,
+      department
+    };
+
+    // Notify department
+    this.io.to(`dept_${department}`).emit('sla_breach_warning', warningData);
+
+    // Notify assigned mitra
+    if (complaint.assignedMitra) {
+      this.io.to(`user_${complaint.assignedMitra}`).emit('sla_breach_warning', warningData);
+    }
+
+    // Notify admins about actual breaches
+    if (status === 'breached') {
+      this.io.to('role_admin').emit('sla_breach_warning', warningData);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SLAMonitorService();
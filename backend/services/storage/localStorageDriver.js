@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+
+/**
+ * Stores files on the local disk under backend/uploads
+ */
+class LocalStorageDriver {
+  constructor({ root = path.join(__dirname, '..', '..', 'uploads') } = {}) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  /**
+   * Resolve a key to a path, refusing keys that point outside the root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  }
+
+  async putStream(key, stream) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, createWriteStream(filePath));
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async stat(key) {
+    try {
+      const { size } = await fs.stat(this.resolve(key));
+      return { size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    return createReadStream(this.resolve(key), { start, end });
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorageDriver;
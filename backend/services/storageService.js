@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const LocalStorageDriver = require('./storage/localStorageDriver');
+
+const DRIVERS = ['local', 's3'];
+
+/**
+ * Create a storage driver configured from the environment. Every driver
+ * implements put(key, data, contentType), putStream(key, stream,
+ * contentType), get(key), stat(key), createReadStream(key, range),
+ * exists(key) and remove(key).
+ * @param {string} name - 'local' or 's3'
+ * @returns {Object} Storage driver
+ */
+const createDriver = (name) => {
+  if (name === 's3') {
+    // Only loaded when used, so local setups don't need the AWS SDK configured
+    const S3StorageDriver = require('./storage/s3StorageDriver');
+    return new S3StorageDriver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+
+  if (name === 'local') {
+    return new LocalStorageDriver();
+  }
+
+  throw new Error(`Unknown storage driver "${name}". Use one of: ${DRIVERS.join(', ')}`);
+};
+
+class StorageService {
+  constructor() {
+    this.driverName = process.env.STORAGE_DRIVER || 'local';
+    this.driver = null;
+  }
+
+  /**
+   * Create a driver by name, e.g. to copy files between backends
+   * @param {string} name - 'local' or 's3'
+   * @returns {Object} Storage driver
+   */
+  createDriver(name) {
+    return createDriver(name);
+  }
+
+  /**
+   * Get the configured driver (STORAGE_DRIVER), creating it on first use
+   * @returns {Object} Storage driver
+   */
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createDriver(this.driverName);
+    }
+    return this.driver;
+  }
+
+  /**
+   * Build a unique key for an uploaded file
+   * @param {string} folder - Key prefix (e.g. 'complaints')
+   * @param {Object} file - Multer file
+   * @returns {string} Storage key
+   */
+  generateKey(folder, file) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `${folder}/${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} data - File contents
+   * @param {string} [contentType] - MIME type
+   * @returns {Promise<void>}
+   */
+  put(key, data, contentType) {
+    return this.getDriver().put(key, data, contentType);
+  }
+
+  /**
+   * Store a file from a stream without holding it in memory
+   * @param {string} key - Storage key
+   * @param {stream.Readable} stream - File contents
+   * @param {string} [contentType] - MIME type
+   * @returns {Promise<void>}
+   */
+  putStream(key, stream, contentType) {
+    return this.getDriver().putStream(key, stream, contentType);
+  }
+
+  /**
+   * Store an uploaded file, whether it is held in memory (buffer) or was
+   * written to disk (path)
+   * @param {string} key - Storage key
+   * @param {Object} file - { buffer } or { path }
+   * @param {string} [contentType] - MIME type
+   * @returns {Promise<void>}
+   */
+  putFile(key, file, contentType) {
+    if (file.buffer) {
+      return this.put(key, file.buffer, contentType);
+    }
+    return this.putStream(key, fs.createReadStream(file.path), contentType);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  /**
+   * Get a file's size without reading it
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} { size }, or null if not stored
+   */
+  stat(key) {
+    return this.getDriver().stat(key);
+  }
+
+  /**
+   * Open a stream over a file, or over part of it
+   * @param {string} key - Storage key
+   * @param {Object} [range] - Byte range to read
+   * @param {number} [range.start] - First byte
+   * @param {number} [range.end] - Last byte (inclusive)
+   * @returns {Promise<stream.Readable>} File contents
+   */
+  createReadStream(key, range) {
+    return this.getDriver().createReadStream(key, range);
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if stored
+   */
+  exists(key) {
+    return this.getDriver().exists(key);
+  }
+
+  /**
+   * Delete a file; deleting a missing file is not an error
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  remove(key) {
+    return this.getDriver().remove(key);
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageService();
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const Upload = require('../models/Upload');
+const SchedulerLock = require('../models/SchedulerLock');
+const storageService = require('./storageService');
+const imageProcessingService = require('./imageProcessingService');
+const fileScanService = require('./fileScanService');
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+const JOB_NAME = 'upload_cleanup';
+
+const MB = 1024 * 1024;
+
+// Uploads not yet attached to a complaint
+const PENDING_STATUSES = ['uploading', 'processing', 'complete', 'failed'];
+
+class UploadService {
+  constructor() {
+    this.maxSize = (parseInt(process.env.UPLOAD_MAX_SIZE_MB, 10) || 100) * MB;
+    this.chunkSize = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB, 10) || 5) * MB;
+    this.expiryHours = parseInt(process.env.UPLOAD_EXPIRY_HOURS, 10) || 24;
+    this.cleanupIntervalMs = 60 * 60 * 1000;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Whether a declared file type can be uploaded. The contents are checked
+   * once assembled, and whether the kind fits where it is attached when
+   * the upload is attached.
+   * @param {string} mimetype - MIME type
+   * @returns {boolean} True if allowed
+   */
+  isAllowedType(mimetype) {
+    return ['image/', 'video/', 'audio/'].some(prefix => mimetype.startsWith(prefix)) ||
+      mimetype === 'application/pdf';
+  }
+
+  /**
+   * When an upload is removed if it is not attached
+   * @param {Date} now - Reference time
+   * @returns {Date} Expiry
+   */
+  getExpiry(now) {
+    return new Date(now.getTime() + this.expiryHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Storage key of a chunk
+   * @param {Object} upload - Upload document
+   * @param {number} offset - Byte offset of the chunk
+   * @returns {string} Storage key
+   */
+  getChunkKey(upload, offset) {
+    return `chunks/${upload._id}/${offset}`;
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {Object} user - Uploading user
+   * @param {Object} file - { originalName, mimetype, size }
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Upload document
+   */
+  async create(user, { originalName, mimetype, size }, now = new Date()) {
+    if (!this.isAllowedType(mimetype)) {
+      throw new ErrorResponse('Only image, video, audio and PDF files can be uploaded', 400);
+    }
+
+    if (size > this.maxSize) {
+      throw new ErrorResponse(`Uploads cannot exceed ${this.maxSize / MB} MB`, 400);
+    }
+
+    return Upload.create({
+      user: user._id,
+      originalName,
+      mimetype,
+      size,
+      chunkSize: this.chunkSize,
+      expiresAt: this.getExpiry(now)
+    });
+  }
+
+  /**
+   * Load one of the user's uploads
+   * @param {string} uploadId - Upload ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Upload document
+   */
+  async findOwn(uploadId, user) {
+    const upload = await Upload.findOne({ _id: uploadId, user: user._id });
+
+    if (!upload) {
+      throw new ErrorResponse('Upload not found', 404);
+    }
+
+    return upload;
+  }
+
+  /**
+   * Store the next chunk of an upload. Chunks must arrive in order: the
+   * offset has to equal the bytes received so far, so a client resumes by
+   * reading `receivedBytes` and sending from there. The file is assembled
+   * when the last chunk arrives.
+   * @param {Object} upload - Upload document
+   * @param {number} offset - Byte offset of the chunk
+   * @param {Buffer} data - Chunk contents
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Updated upload document
+   */
+  async appendChunk(upload, offset, data, now = new Date()) {
+    if (upload.status !== 'uploading') {
+      throw new ErrorResponse(`Upload is already ${upload.status}`, 409);
+    }
+
+    if (offset !== upload.receivedBytes) {
+      throw new ErrorResponse(`Expected the chunk at offset ${upload.receivedBytes}`, 409);
+    }
+
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new ErrorResponse('Chunk is empty; send it as application/octet-stream', 400);
+    }
+
+    if (data.length > upload.chunkSize) {
+      throw new ErrorResponse(`Chunks cannot exceed ${upload.chunkSize} bytes`, 413);
+    }
+
+    if (offset + data.length > upload.size) {
+      throw new ErrorResponse(`Chunk runs past the declared size of ${upload.size} bytes`, 400);
+    }
+
+    // Same offset, same key: a retried chunk just overwrites itself
+    await storageService.put(this.getChunkKey(upload, offset), data, 'application/octet-stream');
+
+    const updated = await Upload.findOneAndUpdate(
+      { _id: upload._id, status: 'uploading', receivedBytes: offset },
+      {
+        $inc: { receivedBytes: data.length },
+        $push: { chunks: { offset, size: data.length } },
+        $set: { expiresAt: this.getExpiry(now) }
+      },
+      { new: true }
+    );
+
+    // Another request stored this chunk first
+    if (!updated) {
+      throw new ErrorResponse('Chunk was already received', 409);
+    }
+
+    if (updated.receivedBytes === updated.size) {
+      return this.assemble(updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Join an upload's chunks into a file on disk, streaming one chunk at a
+   * time so the upload is never held in memory
+   * @param {Object} upload - Upload document
+   * @param {string} filePath - File to write
+   * @returns {Promise<void>}
+   */
+  async joinChunks(upload, filePath) {
+    for (const [index, chunk] of upload.chunks.entries()) {
+      await pipeline(
+        await storageService.createReadStream(this.getChunkKey(upload, chunk.offset)),
+        fs.createWriteStream(filePath, { flags: index === 0 ? 'w' : 'a' })
+      );
+    }
+  }
+
+  /**
+   * Join the chunks of a fully received upload on disk, check its contents
+   * and run the file through the image pipeline into its final storage key
+   * @param {Object} upload - Upload document
+   * @returns {Promise<Object>} Updated upload document
+   */
+  async assemble(upload) {
+    const claimed = await Upload.findOneAndUpdate(
+      { _id: upload._id, status: 'uploading', receivedBytes: upload.size },
+      { status: 'processing' },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return Upload.findById(upload._id);
+    }
+
+    const filePath = path.join(os.tmpdir(), `upload-${claimed._id}`);
+
+    try {
+      await this.joinChunks(claimed, filePath);
+
+      const file = {
+        fieldname: 'upload',
+        originalname: claimed.originalName,
+        mimetype: claimed.mimetype,
+        path: filePath,
+        size: claimed.size
+      };
+
+      const { kind } = await fileScanService.inspect(file, { _id: claimed.user });
+      const [attachment] = await imageProcessingService.buildAttachments([file]);
+
+      claimed.mimetype = file.mimetype;
+      claimed.kind = kind;
+      claimed.attachment = attachment;
+      claimed.status = 'complete';
+    } catch (error) {
+      console.error(`Assembling upload ${claimed._id} failed:`, error);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+    }
+
+    await fs.promises.rm(filePath, { force: true });
+    await this.removeChunks(claimed);
+    await claimed.save();
+
+    return claimed;
+  }
+
+  /**
+   * Build attachment records from the user's completed uploads
+   * @param {Array} uploadIds - Upload IDs
+   * @param {Object} user - Requesting user
+   * @param {Object} [options]
+   * @param {Function} [options.isAllowed] - (kind, index) => whether the
+   *   upload may be attached there
+   * @returns {Promise<Array>} Attachments, in the order of uploadIds
+   */
+  async getAttachments(uploadIds = [], user, { isAllowed = () => true } = {}) {
+    if (uploadIds.length === 0) {
+      return [];
+    }
+
+    // Each upload is one stored file and can only be attached once
+    const seen = new Set();
+    for (const uploadId of uploadIds) {
+      if (seen.has(uploadId.toString())) {
+        throw new ErrorResponse(`Upload ${uploadId} is listed more than once`, 400);
+      }
+      seen.add(uploadId.toString());
+    }
+
+    const uploads = await Upload.find({ _id: { $in: uploadIds }, user: user._id });
+    const uploadsById = new Map(uploads.map(upload => [upload._id.toString(), upload]));
+
+    return uploadIds.map((uploadId, index) => {
+      const upload = uploadsById.get(uploadId.toString());
+
+      if (!upload) {
+        throw new ErrorResponse(`Upload ${uploadId} not found`, 400);
+      }
+      if (upload.status !== 'complete') {
+        throw new ErrorResponse(`Upload ${upload.originalName} is ${upload.status}, not complete`, 400);
+      }
+      if (!isAllowed(upload.kind, index)) {
+        throw new ErrorResponse(`${upload.originalName} (${upload.kind}) cannot be attached here`, 400);
+      }
+
+      return upload.attachment;
+    });
+  }
+
+  /**
+   * Mark uploads as attached so cleanup leaves their files alone
+   * @param {Array} uploadIds - Upload IDs
+   * @param {Object} complaint - Complaint they were attached to
+   * @returns {Promise<void>}
+   */
+  async markAttached(uploadIds = [], complaint) {
+    if (uploadIds.length === 0) return;
+
+    await Upload.updateMany(
+      { _id: { $in: uploadIds }, status: 'complete' },
+      { status: 'attached', attachedTo: complaint._id }
+    );
+  }
+
+  /**
+   * Delete the stored chunks of an upload
+   * @param {Object} upload - Upload document
+   * @returns {Promise<void>}
+   */
+  async removeChunks(upload) {
+    for (const chunk of upload.chunks) {
+      await storageService.remove(this.getChunkKey(upload, chunk.offset));
+    }
+    upload.chunks = [];
+  }
+
+  /**
+   * Delete an unattached upload with everything it stored
+   * @param {Object} upload - Upload document
+   * @returns {Promise<void>}
+   */
+  async discard(upload) {
+    if (upload.status === 'attached') {
+      throw new ErrorResponse('Upload is attached to a complaint', 409);
+    }
+
+    await this.removeChunks(upload);
+
+    const { key, variants = {} } = upload.attachment || {};
+    for (const fileKey of [key, ...Object.values(variants).map(variant => variant.key)]) {
+      if (fileKey) {
+        await storageService.remove(fileKey);
+      }
+    }
+
+    await Upload.deleteOne({ _id: upload._id });
+  }
+
+  /**
+   * Start the periodic cleanup of abandoned uploads
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.cleanupIntervalMs);
+    this.timer.unref();
+
+    console.log('🧹 Upload cleanup started (every 60 min)');
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic cleanup and release the lock
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await SchedulerLock.release(JOB_NAME, this.instanceId).catch(() => {});
+  }
+
+  /**
+   * Run one cleanup if this process wins the lock
+   * @returns {Promise<number|null>} Uploads removed, or null if skipped
+   */
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const hasLock = await SchedulerLock.acquire(JOB_NAME, this.instanceId, this.cleanupIntervalMs * 2);
+      if (!hasLock) return null;
+
+      return await this.cleanupExpired();
+    } catch (error) {
+      console.error('Upload cleanup error:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Remove uploads that expired before being attached
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<number>} Uploads removed
+   */
+  async cleanupExpired(now = new Date()) {
+    const expired = await Upload.find({ status: { $in: PENDING_STATUSES }, expiresAt: { $lt: now } });
+
+    let removed = 0;
+    for (const upload of expired) {
+      try {
+        await this.discard(upload);
+        removed++;
+      } catch (error) {
+        console.error(`Removing expired upload ${upload._id} failed:`, error);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} abandoned upload(s)`);
+    }
+
+    return removed;
+  }
+}
+
+// Export singleton instance
+module.exports = new UploadService();
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+
+const buildComplaint = () => new Complaint({
+  title: 'Streetlight out on AB Road',
+  citizen: new mongoose.Types.ObjectId(),
+  aiClassification: {
+    category: 'Road and Infrastructure',
+    department: 'PWD',
+    priority: 'medium',
+    confidence: 0.62
+  }
+});
+
+test('a department override is kept in the override record, not the AI classification', () => {
+  const complaint = buildComplaint();
+  const userId = new mongoose.Types.ObjectId();
+
+  const entry = complaint.overrideClassification({
+    category: 'Electricity',
+    department: 'Electricity',
+    justification: 'Streetlights are maintained by the electricity board',
+    userId
+  });
+
+  assert.strictEqual(complaint.aiClassification.department, 'PWD');
+  assert.strictEqual(complaint.aiClassification.category, 'Road and Infrastructure');
+  assert.strictEqual(complaint.manualClassification.department, 'Electricity');
+  assert.strictEqual(entry.previousDepartment, 'PWD');
+  assert.strictEqual(entry.department, 'Electricity');
+  assert.deepStrictEqual(complaint.effectiveClassification, {
+    category: 'Electricity',
+    department: 'Electricity',
+    priority: 'medium',
+    source: 'manual'
+  });
+});
+
+test('moving a complaint back to the AI department clears the override', () => {
+  const complaint = buildComplaint();
+  const userId = new mongoose.Types.ObjectId();
+
+  complaint.overrideClassification({ department: 'Electricity', justification: 'Streetlight', userId });
+  complaint.overrideClassification({ department: 'PWD', justification: 'Pole is damaged, not the lamp', userId });
+
+  assert.strictEqual(complaint.manualClassification.department, null);
+  assert.strictEqual(complaint.effectiveClassification.department, 'PWD');
+  assert.strictEqual(complaint.manualClassification.history.length, 2);
+});
+
+test('lean complaints resolve the overridden department', () => {
+  const lean = {
+    aiClassification: { category: 'Road and Infrastructure', department: 'PWD', priority: 'medium' },
+    manualClassification: { department: 'Electricity' }
+  };
+
+  assert.strictEqual(Complaint.getEffectiveClassification(lean).department, 'Electricity');
+  assert.deepStrictEqual(Complaint.effectiveDepartmentQuery('Electricity'), {
+    $or: [
+      { 'manualClassification.department': 'Electricity' },
+      { 'manualClassification.department': null, 'aiClassification.department': 'Electricity' }
+    ]
+  });
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+
+const buildResolvedComplaint = () => new Complaint({
+  title: 'Streetlight not working',
+  citizen: new mongoose.Types.ObjectId(),
+  status: 'closed',
+  aiClassification: { department: 'Electricity' },
+  resolution: { description: 'Bulb replaced', resolvedAt: new Date('2026-10-01') },
+  citizenFeedback: { rating: 2, satisfied: false, comments: 'Off again', submittedAt: new Date('2026-10-02') },
+  reporters: [{
+    citizen: new mongoose.Types.ObjectId(),
+    feedback: { rating: 1, satisfied: false, comments: 'Still dark', submittedAt: new Date('2026-10-02') }
+  }]
+});
+
+test('recordReopen counts the reopen and keeps its history', () => {
+  const complaint = buildResolvedComplaint();
+  const userId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-10-03');
+
+  complaint.recordReopen({ reason: 'Light is off again', userId }, now);
+
+  assert.strictEqual(complaint.reopen.count, 1);
+  assert.strictEqual(complaint.reopen.lastReopenedAt.getTime(), now.getTime());
+  assert.strictEqual(complaint.reopen.history.length, 1);
+
+  const [entry] = complaint.reopen.history;
+  assert.strictEqual(entry.reason, 'Light is off again');
+  assert.strictEqual(entry.previousStatus, 'closed');
+  assert.strictEqual(entry.department, 'Electricity');
+  assert.strictEqual(entry.reopenedBy.toString(), userId.toString());
+  assert.strictEqual(entry.previousResolvedAt.getTime(), new Date('2026-10-01').getTime());
+});
+
+test('recordReopen clears the resolution and every reporter\'s feedback', () => {
+  const complaint = buildResolvedComplaint();
+
+  complaint.recordReopen({ reason: 'Light is off again', userId: new mongoose.Types.ObjectId() });
+
+  assert.strictEqual(complaint.resolution.resolvedAt, null);
+  assert.strictEqual(complaint.citizenFeedback.rating, null);
+  assert.strictEqual(complaint.citizenFeedback.submittedAt, null);
+  assert.strictEqual(complaint.reporters[0].feedback.rating, null);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+
+const buildMergedComplaint = () => {
+  const citizen = new User({
+    name: 'Rajesh Kumar',
+    email: 'rajesh.kumar@gmail.com',
+    phone: '9876543210',
+    role: 'citizen',
+    address: '123 MG Road, Indore'
+  });
+  const reporter = new mongoose.Types.ObjectId();
+
+  const complaint = new Complaint({
+    title: 'Pothole on MG Road',
+    citizen,
+    reporters: [{ citizen: reporter, complaintId: 'IMT-2026-000002' }]
+  });
+
+  return { complaint, citizen, reporter };
+};
+
+test('a merged reporter reading the parent complaint gets no citizen details or reporters', () => {
+  const { complaint, citizen, reporter } = buildMergedComplaint();
+
+  const json = complaint.toJSONFor({ _id: reporter, role: 'citizen' });
+
+  assert.strictEqual(json.citizen, citizen._id.toString());
+  assert.strictEqual(json.reporters, undefined);
+  assert.doesNotMatch(JSON.stringify(json), /rajesh|9876543210|MG Road, Indore/i);
+});
+
+test('the original citizen still sees their details and the reporters', () => {
+  const { complaint, citizen } = buildMergedComplaint();
+
+  const json = complaint.toJSONFor({ _id: citizen._id, role: 'citizen' });
+
+  assert.strictEqual(json.citizen.email, 'rajesh.kumar@gmail.com');
+  assert.strictEqual(json.reporters.length, 1);
+});
+
+test('staff see the citizen and the reporters', () => {
+  const { complaint } = buildMergedComplaint();
+
+  const json = complaint.toJSONFor({ _id: new mongoose.Types.ObjectId(), role: 'officer' });
+
+  assert.strictEqual(json.citizen.phone, '9876543210');
+  assert.strictEqual(json.reporters.length, 1);
+});
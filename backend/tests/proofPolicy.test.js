@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const complaintWorkflowService = require('../services/complaintWorkflowService');
+
+const officer = { id: new mongoose.Types.ObjectId(), role: 'officer' };
+
+const buildComplaint = (category) => new Complaint({
+  title: 'Test complaint',
+  citizen: new mongoose.Types.ObjectId(),
+  status: 'in_progress',
+  aiClassification: { category, department: 'Municipal Corporation', priority: 'medium' }
+});
+
+const checkResolve = (complaint, proofAttachments) =>
+  complaintWorkflowService.check(complaint, 'resolved', { user: officer, remarks: 'Done', proofAttachments });
+
+test('categories whose policy needs no proof resolve without any', () => {
+  assert.strictEqual(checkResolve(buildComplaint('Public Safety'), []), null);
+});
+
+test('categories without a policy still need at least one file', () => {
+  assert.match(checkResolve(buildComplaint('Other'), []).message, /Proof attachments are required/);
+  assert.strictEqual(checkResolve(buildComplaint('Other'), [{ slot: 'document' }]), null);
+});
+
+test('required slots must each hold a file', () => {
+  const complaint = buildComplaint('Road and Infrastructure');
+
+  assert.match(checkResolve(complaint, [{ slot: 'after' }]).message, /need before proof/);
+  assert.strictEqual(checkResolve(complaint, [{ slot: 'before' }, { slot: 'after' }]), null);
+});
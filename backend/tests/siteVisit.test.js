@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const siteVisitService = require('../services/siteVisitService');
+
+const site = { latitude: 22.7196, longitude: 75.8577 };
+const mitra = { id: new mongoose.Types.ObjectId() };
+
+const buildComplaint = () => new Complaint({
+  title: 'Garbage not collected',
+  citizen: new mongoose.Types.ObjectId(),
+  location: { address: 'Rajwada, Indore', coordinates: site },
+  assignedMitra: mitra.id
+});
+
+test('a check-in on site with a precise location verifies the visit', () => {
+  const complaint = buildComplaint();
+
+  const visit = siteVisitService.checkIn(complaint, mitra, { ...site, accuracy: 10 });
+
+  assert.strictEqual(visit.checkIn.withinRange, true);
+  assert.strictEqual(siteVisitService.isVerified(complaint), true);
+});
+
+test('a check-in whose accuracy is coarser than the site radius does not verify the visit', () => {
+  const complaint = buildComplaint();
+
+  const visit = siteVisitService.checkIn(complaint, mitra, { ...site, accuracy: 2000 });
+
+  assert.strictEqual(visit.checkIn.withinRange, false);
+  assert.strictEqual(visit.checkIn.accuracy, 2000);
+  assert.strictEqual(siteVisitService.isVerified(complaint), false);
+  assert.match(complaint.timeline.at(-1).description, /accuracy of 2000 m/);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Upload = require('../models/Upload');
+const uploadService = require('../services/uploadService');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+test('an upload listed twice is rejected before anything is attached', async () => {
+  const uploadId = new mongoose.Types.ObjectId().toString();
+  const originalFind = Upload.find;
+  let queried = false;
+  Upload.find = async () => {
+    queried = true;
+    return [];
+  };
+
+  try {
+    await assert.rejects(
+      uploadService.getAttachments([uploadId, uploadId], user),
+      { statusCode: 400, message: `Upload ${uploadId} is listed more than once` }
+    );
+    assert.strictEqual(queried, false);
+  } finally {
+    Upload.find = originalFind;
+  }
+});
@@ -0,0 +1,65 @@
+// File types accepted as attachments, recognised by their leading bytes:
+// `bytes` or `text` at the start, `riff` the RIFF form type and `brands`
+// the major brand of ISO base media files (MP4, MOV, HEIC, M4A).
+const SIGNATURES = [
+  { mime: 'image/jpeg', kind: 'image', bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/png', kind: 'image', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/gif', kind: 'image', text: 'GIF8' },
+  { mime: 'image/webp', kind: 'image', riff: 'WEBP' },
+  { mime: 'image/tiff', kind: 'image', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { mime: 'image/tiff', kind: 'image', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { mime: 'image/heic', kind: 'image', brands: ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'] },
+  { mime: 'audio/mp4', kind: 'audio', brands: ['M4A ', 'M4B '] },
+  { mime: 'video/quicktime', kind: 'video', brands: ['qt  '] },
+  { mime: 'video/3gpp', kind: 'video', brands: ['3gp4', '3gp5', '3gp6', '3ge6', '3gg6', '3g2a'] },
+  { mime: 'video/mp4', kind: 'video', brands: ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'] },
+  { mime: 'video/webm', kind: 'video', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { mime: 'video/x-msvideo', kind: 'video', riff: 'AVI ' },
+  { mime: 'audio/wav', kind: 'audio', riff: 'WAVE' },
+  { mime: 'audio/ogg', kind: 'audio', text: 'OggS' },
+  { mime: 'audio/flac', kind: 'audio', text: 'fLaC' },
+  { mime: 'audio/amr', kind: 'audio', text: '#!AMR' },
+  { mime: 'audio/mpeg', kind: 'audio', text: 'ID3' },
+  { mime: 'audio/mpeg', kind: 'audio', bytes: [0xFF, 0xFB] },
+  { mime: 'audio/mpeg', kind: 'audio', bytes: [0xFF, 0xF3] },
+  { mime: 'audio/mpeg', kind: 'audio', bytes: [0xFF, 0xF2] },
+  { mime: 'audio/aac', kind: 'audio', bytes: [0xFF, 0xF1] },
+  { mime: 'audio/aac', kind: 'audio', bytes: [0xFF, 0xF9] },
+  { mime: 'application/pdf', kind: 'document', text: '%PDF-' }
+];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const matches = (buffer, signature) => {
+  if (signature.bytes) {
+    return startsWith(buffer, signature.bytes);
+  }
+  if (signature.text) {
+    return startsWith(buffer, [...Buffer.from(signature.text, 'latin1')]);
+  }
+  if (signature.riff) {
+    return startsWith(buffer, [...Buffer.from('RIFF')]) &&
+      startsWith(buffer, [...Buffer.from(signature.riff, 'latin1')], 8);
+  }
+  if (signature.brands) {
+    return startsWith(buffer, [...Buffer.from('ftyp')], 4) &&
+      signature.brands.includes(buffer.toString('latin1', 8, 12));
+  }
+  return false;
+};
+
+/**
+ * Identify a file from its contents, ignoring its name and declared type
+ * @param {Buffer} buffer - File contents (the first few bytes are enough)
+ * @returns {Object|null} { mime, kind } where kind is image, video, audio
+ *   or document; null if it is not an accepted type
+ */
+const detectFileType = (buffer) => {
+  const signature = SIGNATURES.find(candidate => matches(buffer, candidate));
+  return signature ? { mime: signature.mime, kind: signature.kind } : null;
+};
+
+module.exports = {
+  detectFileType
+};
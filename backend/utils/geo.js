@@ -0,0 +1,40 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Read a { latitude, longitude } pair, accepting numeric strings
+ * @param {Object} coordinates - Coordinates to read
+ * @returns {Object|null} Numeric coordinates, or null if either is missing
+ */
+const toPoint = (coordinates) => {
+  const latitude = parseFloat(coordinates?.latitude);
+  const longitude = parseFloat(coordinates?.longitude);
+
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  toPoint,
+  distanceMeters
+};
@@ -0,0 +1,27 @@
+const sendSMS = require('./sendSMS');
+
+/**
+ * Send one summary SMS per recipient instead of one SMS per item.
+ * Messages are sent sequentially so large bulk actions stay within
+ * the SMS provider's rate limits.
+ * @param {Map<string, Array>} batches - Phone number -> items for that recipient
+ * @param {Function} formatMessage - Builds the SMS text from a recipient's items
+ * @returns {Promise<Array>} Per-recipient send results
+ */
+const sendBatchSMS = async (batches, formatMessage) => {
+  const results = [];
+
+  for (const [phone, items] of batches) {
+    try {
+      await sendSMS(phone, formatMessage(items));
+      results.push({ phone, count: items.length, success: true });
+    } catch (error) {
+      console.error('Batch SMS sending failed:', error);
+      results.push({ phone, count: items.length, success: false });
+    }
+  }
+
+  return results;
+};
+
+module.exports = sendBatchSMS;
@@ -0,0 +1,151 @@
+const moment = require('moment');
+const { holidays } = require('../data/holidays.json');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Safety bound when walking the calendar day by day (about two years)
+const MAX_DAYS = 730;
+
+const holidayDates = new Set(holidays.map(holiday => holiday.date));
+const holidayYears = new Set(holidays.map(holiday => holiday.date.slice(0, 4)));
+const warnedYears = new Set();
+
+const parseTime = (time) => time.split(':').map(Number);
+
+/**
+ * Check whether a local date is a public holiday
+ * @param {Object} localDay - moment in the calendar's offset
+ * @returns {boolean} True on a holiday
+ */
+const isHoliday = (localDay) => holidayDates.has(localDay.format('YYYY-MM-DD'));
+
+/**
+ * Warn, once per year, when a deadline falls in a year data/holidays.json
+ * has no holidays for: that year's holidays are counted as working days
+ * @param {Object} localDay - moment in the calendar's offset
+ */
+const warnIfHolidaysMissing = (localDay) => {
+  const year = localDay.format('YYYY');
+  if (holidayYears.has(year) || warnedYears.has(year)) return;
+
+  warnedYears.add(year);
+  console.warn(`⚠️  No public holidays listed for ${year} in data/holidays.json; SLA deadlines in ${year} treat holidays as working days`);
+};
+
+/**
+ * Get the working window for the local day containing `day`
+ * @param {Object} day - moment in the calendar's offset
+ * @param {Object} calendar - SLA calendar
+ * @returns {Object|null} { start, end } moments, or null on a non-working day
+ */
+const getWorkingWindow = (day, calendar) => {
+  const dayStart = day.clone().startOf('day');
+
+  if (calendar.weeklyOffs.includes(dayStart.day())) return null;
+  if (calendar.observeHolidays && isHoliday(dayStart)) return null;
+
+  const [startHour, startMinute] = parseTime(calendar.workingHours.start);
+  const [endHour, endMinute] = parseTime(calendar.workingHours.end);
+
+  return {
+    start: dayStart.clone().add(startHour, 'hours').add(startMinute, 'minutes'),
+    end: dayStart.clone().add(endHour, 'hours').add(endMinute, 'minutes')
+  };
+};
+
+/**
+ * Add working hours to a start time
+ * @param {Date} from - Start time
+ * @param {number} hours - Working hours to add
+ * @param {Object} calendar - SLA calendar
+ * @returns {Date} Time at which the working hours have elapsed
+ */
+const addWorkingHours = (from, hours, calendar) => {
+  if (calendar.is24x7) {
+    return new Date(from.getTime() + hours * MS_PER_HOUR);
+  }
+
+  let remainingMs = hours * MS_PER_HOUR;
+  let cursor = moment(from).utcOffset(calendar.utcOffsetMinutes);
+
+  for (let day = 0; day < MAX_DAYS; day++) {
+    const window = getWorkingWindow(cursor, calendar);
+
+    if (window) {
+      const start = moment.max(cursor, window.start);
+      if (start.isBefore(window.end)) {
+        const availableMs = window.end.diff(start);
+        if (availableMs >= remainingMs) {
+          const deadline = start.clone().add(remainingMs, 'ms');
+          if (calendar.observeHolidays) {
+            warnIfHolidaysMissing(deadline);
+          }
+          return deadline.toDate();
+        }
+        remainingMs -= availableMs;
+      }
+    }
+
+    cursor = cursor.clone().startOf('day').add(1, 'day');
+  }
+
+  throw new Error(`SLA calendar "${calendar.name}" has no working time in the next ${MAX_DAYS} days`);
+};
+
+/**
+ * Count working hours between two times. When `end` is before `start`
+ * the result is the negative wall-clock difference (time overdue).
+ * @param {Date} start - Start time
+ * @param {Date} end - End time
+ * @param {Object} calendar - SLA calendar
+ * @returns {number} Working hours
+ */
+const workingHoursBetween = (start, end, calendar) => {
+  if (end <= start || calendar.is24x7) {
+    return (end - start) / MS_PER_HOUR;
+  }
+
+  const endMoment = moment(end).utcOffset(calendar.utcOffsetMinutes);
+  let cursor = moment(start).utcOffset(calendar.utcOffsetMinutes);
+  let totalMs = 0;
+
+  while (cursor.isBefore(endMoment)) {
+    const window = getWorkingWindow(cursor, calendar);
+
+    if (window) {
+      const windowStart = moment.max(cursor, window.start);
+      const windowEnd = moment.min(endMoment, window.end);
+      if (windowStart.isBefore(windowEnd)) {
+        totalMs += windowEnd.diff(windowStart);
+      }
+    }
+
+    cursor = cursor.clone().startOf('day').add(1, 'day');
+  }
+
+  return totalMs / MS_PER_HOUR;
+};
+
+/**
+ * Check whether a time falls within the calendar's working hours
+ * @param {Date} at - Time to check
+ * @param {Object} calendar - SLA calendar
+ * @returns {boolean} True during working hours
+ */
+const isWorkingTime = (at, calendar) => {
+  if (calendar.is24x7) {
+    return true;
+  }
+
+  const local = moment(at).utcOffset(calendar.utcOffsetMinutes);
+  const window = getWorkingWindow(local, calendar);
+
+  return Boolean(window) && !local.isBefore(window.start) && local.isBefore(window.end);
+};
+
+module.exports = {
+  isHoliday,
+  isWorkingTime,
+  addWorkingHours,
+  workingHoursBetween
+};
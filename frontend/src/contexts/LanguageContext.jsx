@@ -55,6 +55,8 @@ const translations = {
     'status.in_progress': 'In Progress',
     'status.resolved': 'Resolved',
     'status.escalated': 'Escalated',
+    'status.on_hold': 'On Hold',
+    'status.merged': 'Merged',
     'status.rejected': 'Rejected',
     'status.closed': 'Closed',
     
@@ -114,6 +116,8 @@ const translations = {
     'status.in_progress': 'प्रगति में',
     'status.resolved': 'हल किया गया',
     'status.escalated': 'बढ़ाया गया',
+    'status.on_hold': 'रोका गया',
+    'status.merged': 'विलय किया गया',
     'status.rejected': 'अस्वीकृत',
     'status.closed': 'बंद',
     
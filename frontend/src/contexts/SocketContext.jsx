@@ -52,6 +52,14 @@ export const SocketProvider = ({ children }) => {
         toast.success(`Complaint ${data.complaintId} status updated to ${data.status}`);
       });
 
+      newSocket.on('bulk_complaint_assigned', (data) => {
+        toast.success(`${data.count} complaint(s) assigned`);
+      });
+
+      newSocket.on('bulk_complaint_status_updated', (data) => {
+        toast.success(`${data.count} complaint(s) updated to ${data.items[0].status}`);
+      });
+
       newSocket.on('new_remark', (data) => {
         toast.info(`New remark on complaint ${data.complaintId}`);
       });
@@ -60,6 +68,36 @@ export const SocketProvider = ({ children }) => {
         toast.info(`Feedback received for complaint ${data.complaintId}`);
       });
 
+      newSocket.on('complaint_escalated', (data) => {
+        toast.error(`Complaint ${data.complaintId} escalated to ${data.levelTitle}`);
+      });
+
+      newSocket.on('complaint_reopened', (data) => {
+        toast.error(`Complaint ${data.complaintId} reopened by citizen`);
+      });
+
+      newSocket.on('complaint_transferred', (data) => {
+        toast(`Complaint ${data.complaintId} transferred from ${data.fromDepartment} to ${data.toDepartment}`);
+      });
+
+      newSocket.on('complaint_reclassified', (data) => {
+        toast(`Complaint ${data.complaintId} reclassified: ${data.category}, ${data.priority} priority`);
+      });
+
+      newSocket.on('possible_duplicate', (data) => {
+        toast(`Complaint ${data.complaintId} may duplicate ${data.candidates.map(candidate => candidate.complaintId).join(', ')}`);
+      });
+
+      newSocket.on('complaint_merged', (data) => {
+        toast(`Complaint ${data.complaintId} merged into ${data.mergedInto}`);
+      });
+
+      newSocket.on('mitra_leave_reassignment', (data) => {
+        toast.error(`${data.mitra} is going on leave: ${data.complaints.length} complaint(s) need reassignment`, {
+          duration: 6000
+        });
+      });
+
       newSocket.on('sla_breach_warning', (data) => {
         toast.error(`SLA breach warning for complaint ${data.complaintId}`, {
           duration: 6000